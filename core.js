@@ -0,0 +1,251 @@
+/**
+ * Headless core of the DXF to SVG converter
+ *
+ * Everything index.html does short of the UI, loaded straight out of the page so the
+ * page stays one self-contained file and Node runs the very same code:
+ *
+ *   const { convert } = require('./core');
+ *   const { outputs, warnings } = convert([{ name: 'part.dxf', content }], { format: 'svg' });
+ *
+ * Every top-level class, function and constant in the page's script before the main
+ * application (DxfParser, SvgGenerator, DxfWriter, ...) is exported alongside convert.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================
+// Load the shared code from index.html
+// ============================================
+
+const MAIN_APP_MARKER = 'let importedGroups';
+
+function loadCore() {
+    const file = path.join(__dirname, 'index.html');
+    const html = fs.readFileSync(file, 'utf8');
+    const scriptMatch = html.match(/<script>([\s\S]*?)<\/script>/);
+    if (!scriptMatch) throw new Error('Could not find <script> tag in index.html');
+
+    const script = scriptMatch[1];
+    const end = script.indexOf(MAIN_APP_MARKER);
+    if (end === -1) throw new Error('Could not find the main application in index.html');
+    const code = script.substring(0, end);
+
+    // Top-level declarations sit at the script's base indent; everything deeper is local
+    const names = [...code.matchAll(/^        (?:function\*?|class|const|let) ([A-Za-z_$][\w$]*)/gm)].map(m => m[1]);
+
+    // Offset so stack traces point at the right line of index.html
+    const scriptLine = html.substring(0, scriptMatch.index + '<script>'.length).split('\n').length - 1;
+    const wrapped = `(function () {\n${code}\nreturn { ${names.join(', ')} };\n})`;
+    return vm.runInThisContext(wrapped, { filename: file, lineOffset: scriptLine - 1 })();
+}
+
+const core = loadCore();
+const {
+    DxfParser, SvgParser, SvgGenerator, DxfWriter, GcodeWriter, HpglWriter, UNIT_MM, ACI_COLORS, MACHINE_PRESETS, DUPLICATE_TOLERANCE,
+    transformEntity, scaleTransform, buildContours, findContourGaps, CONTOUR_GAP_LIMIT,
+    findOverlapEdits, packOnSheets, usableBedArea, sheetLayout, normalizeMachinePreset
+} = core;
+
+// ============================================
+// Conversion
+// ============================================
+
+const DEFAULT_OPTIONS = {
+    unit: 'auto',           // unit the drawings are in, or 'auto' to detect it per file
+    colors: {},             // layer name, source color or ACI number -> output color
+    removeOverlaps: false,  // true, or the tolerance in mm
+    bed: null,              // preset id, or { width, height, margins }; lays the parts out on it
+    margin: 2,              // mm kept clear around each part on the bed
+    format: 'svg',          // 'svg', 'dxf', 'gcode' or 'hpgl' (default operation settings, from the bed's origin)
+    name: 'combined'        // base name of the output when there are several inputs
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const FORMAT_EXTENSIONS = { svg: 'svg', dxf: 'dxf', gcode: 'gcode', hpgl: 'plt' };
+
+function fileFormat(name) {
+    return /\.svg$/i.test(name) ? 'svg' : 'dxf';
+}
+
+// A preset id, 'WIDTHxHEIGHT' in mm, or a preset-like object
+function resolveBed(bed) {
+    if (typeof bed === 'string') {
+        const preset = MACHINE_PRESETS.find(p => p.id === bed);
+        if (preset) return preset;
+        const size = bed.match(/^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i);
+        if (!size) throw new Error(`Unknown bed "${bed}": use a preset id or WIDTHxHEIGHT in mm`);
+        return normalizeMachinePreset({ name: bed, width: parseFloat(size[1]), height: parseFloat(size[2]) });
+    }
+    return normalizeMachinePreset({ name: 'Bed', ...bed });
+}
+
+// Source color keys are hex or ACI numbers; both come out as upper case hex
+function colorKey(key) {
+    if (/^\d+$/.test(key) && ACI_COLORS[parseInt(key)]) return ACI_COLORS[parseInt(key)];
+    return HEX_COLOR.test(key) ? key.toUpperCase() : null;
+}
+
+// Parse every input into a group of mm entities, laid side by side as the page does on import
+function importInputs(inputs, unit, warnings) {
+    if (unit !== 'auto' && !UNIT_MM[unit]) throw new Error(`Unknown unit "${unit}"`);
+    const parsers = { dxf: new DxfParser(), svg: new SvgParser() };
+    const generator = new SvgGenerator();
+    const groups = [];
+    const hiddenLayers = new Set();
+    let nextId = 0;
+
+    for (const { name, content } of inputs) {
+        const format = fileFormat(name);
+        const parsed = parsers[format].parse(content);
+        for (const w of parsed.warnings || []) warnings.push(`${name}: ${w}`);
+        if (!parsed.entities || parsed.entities.length === 0) {
+            warnings.push(`${name}: no entities found`);
+            continue;
+        }
+
+        // Layers switched off or frozen in the drawing stay hidden, as in the page
+        for (const layer of parsed.layers) {
+            if (layer.off || layer.frozen) hiddenLayers.add(layer.name);
+        }
+
+        const toMm = UNIT_MM[unit === 'auto' ? parsed.units.unit : unit];
+        const entities = toMm === 1
+            ? parsed.entities
+            : parsed.entities.map(e => transformEntity(e, scaleTransform(toMm, toMm)));
+
+        // Outlines that don't close will cut as separate pieces
+        const contours = buildContours(entities);
+        const openCount = contours.filter(c => !c.closed).length;
+        if (openCount > 0) {
+            const gaps = findContourGaps(contours);
+            const gapNote = gaps.length > 0
+                ? `, ${gaps.length} gap${gaps.length === 1 ? '' : 's'} under ${CONTOUR_GAP_LIMIT} mm (largest ${Math.max(...gaps.map(g => g.distance)).toFixed(2)} mm)`
+                : '';
+            warnings.push(`${name}: ${contours.length - openCount} closed and ${openCount} open contour${openCount === 1 ? '' : 's'}${gapNote}`);
+        }
+
+        let offsetX = 0;
+        if (groups.length > 0) {
+            const bounds = generator.calculateCompositeBounds(groups);
+            offsetX = bounds.maxX + 10 - generator.calculateBoundsForEntities(entities).minX;
+        }
+        for (const entity of entities) entity.id = nextId++;
+        groups.push({
+            id: groups.length,
+            filename: path.basename(name).replace(/\.(dxf|svg)$/i, ''),
+            format,
+            entities,
+            offsetX,
+            offsetY: 0
+        });
+    }
+
+    return { groups, hiddenLayers, nextId };
+}
+
+// Drawing colors seed the overrides as in the page; a mapping for the layer wins over one for the color
+function colorOverridesFor(groups, colors) {
+    const byLayer = new Map();
+    const byColor = new Map();
+    for (const [from, to] of Object.entries(colors)) {
+        if (!HEX_COLOR.test(to)) throw new Error(`Color for "${from}" must be #RRGGBB, not "${to}"`);
+        byLayer.set(from, to);
+        const key = colorKey(from);
+        if (key) byColor.set(key, to);
+    }
+
+    const overrides = new Map();
+    for (const group of groups) {
+        for (const entity of group.entities) {
+            const source = entity.color ? entity.color.toUpperCase() : null;
+            const color = byLayer.get(entity.layer || '0') || (source && byColor.get(source)) ||
+                (source && source !== '#000000' ? entity.color : null);
+            if (color) overrides.set(entity.id, color);
+        }
+    }
+    return overrides;
+}
+
+// Drops duplicates and trims partial overlaps the way Find/Remove Overlaps does
+function removeOverlaps(groups, colorOverrides, tolerance, nextId) {
+    const entries = groups.flatMap(group => group.entities.map(entity => ({ entity, ox: group.offsetX, oy: group.offsetY })));
+    const { toRemove, toTrim } = findOverlapEdits(entries, tolerance);
+
+    const replacements = new Map(); // entity -> what takes its place
+    for (const i of toRemove) replacements.set(entries[i].entity, []);
+    for (const [i, pieces] of toTrim) {
+        const { entity } = entries[i];
+        const color = colorOverrides.get(entity.id);
+        for (const piece of pieces.slice(1)) {
+            piece.id = nextId++;
+            if (color) colorOverrides.set(piece.id, color);
+        }
+        replacements.set(entity, pieces);
+    }
+
+    for (const group of groups) {
+        group.entities = group.entities.flatMap(entity => replacements.get(entity) || [entity]);
+    }
+    return { groups: groups.filter(group => group.entities.length > 0), removed: toRemove.size, trimmed: toTrim.size };
+}
+
+/**
+ * Converts inputs ([{ name, content }], .dxf or .svg by name) into one layout and renders it.
+ * Returns { outputs: [{ name, data }], warnings, report }: one output for the layout, or one
+ * per bed sheet when the parts were placed on a bed.
+ */
+function convert(inputs, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    if (!FORMAT_EXTENSIONS[opts.format]) throw new Error(`Unknown output format "${opts.format}"`);
+    const warnings = [];
+    const report = { entities: 0, removed: 0, trimmed: 0, sheets: 0, unplaced: 0 };
+
+    let { groups, hiddenLayers, nextId } = importInputs(inputs, opts.unit, warnings);
+    const colorOverrides = colorOverridesFor(groups, opts.colors);
+
+    if (opts.removeOverlaps) {
+        const tolerance = opts.removeOverlaps === true ? DUPLICATE_TOLERANCE : opts.removeOverlaps;
+        const result = removeOverlaps(groups, colorOverrides, tolerance, nextId);
+        groups = result.groups;
+        report.removed = result.removed;
+        report.trimmed = result.trimmed;
+    }
+
+    const baseName = inputs.length === 1 ? path.basename(inputs[0].name).replace(/\.(dxf|svg)$/i, '') : opts.name;
+    let layouts = [{ groups, suffix: '', frame: null }];
+
+    const bed = opts.bed && groups.length > 0 ? resolveBed(opts.bed) : null;
+    if (bed) {
+        const packed = packOnSheets(groups, bed, usableBedArea(bed), opts.margin);
+        report.sheets = packed.sheets;
+        report.unplaced = groups.length - packed.placed.length;
+        if (report.unplaced > 0) warnings.push(`${report.unplaced} part(s) did not fit on the ${bed.width}×${bed.height} mm bed and were left out`);
+
+        const frame = { minX: 0, minY: 0, maxX: bed.width, maxY: bed.height };
+        layouts = [];
+        for (let k = 0; k < packed.sheets; k++) {
+            const suffix = packed.sheets > 1 ? `-sheet${k + 1}` : '';
+            layouts.push({ groups: sheetLayout(packed.placed, k, bed, packed.sheets), suffix, frame });
+        }
+    }
+
+    report.entities = groups.reduce((sum, group) => sum + group.entities.length, 0);
+    const renderOptions = { hiddenLayers, hatchPatterns: false, cutOrder: false, kerf: new Map() };
+    const toolpathOptions = { ...renderOptions, bed, origin: bed && bed.origin };
+    const outputs = layouts.map(({ groups, suffix, frame }) => {
+        let data;
+        switch (opts.format) {
+            case 'svg': data = new SvgGenerator().generateCompositeSvg(groups, colorOverrides, 1, true, { ...renderOptions, frame }); break;
+            case 'dxf': data = new DxfWriter(groups, colorOverrides, renderOptions).generate(); break;
+            case 'gcode': data = new GcodeWriter(groups, colorOverrides, toolpathOptions).generate(); break;
+            case 'hpgl': data = new HpglWriter(groups, colorOverrides, toolpathOptions).generate(); break;
+        }
+        return { name: `${baseName}${suffix}.${FORMAT_EXTENSIONS[opts.format]}`, data };
+    });
+
+    return { outputs, warnings, report };
+}
+
+module.exports = { ...core, convert, DEFAULT_OPTIONS };
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * dxf2svg: batch conversion from the command line
+ * Run with: node dxf2svg.js [options] <files or globs...>
+ *
+ * Uses the same core as the page (see core.js); run with --help for the options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convert, DEFAULT_OPTIONS, UNIT_MM, DUPLICATE_TOLERANCE } = require('./core');
+
+const USAGE = `Usage: dxf2svg [options] <files or globs...>
+
+Converts DXF (and SVG) drawings to SVG, DXF, G-code or HPGL. Each input becomes its own output
+unless --combine or --bed puts them in one layout.
+
+Options:
+  -o, --out <dir>            write outputs here (default: next to the input, never over it)
+  -f, --format <format>      svg, dxf, gcode or hpgl (default: svg); G-code and HPGL
+                             count from the --bed preset's origin corner
+  -u, --units <unit>         drawing units instead of detecting them: ${Object.keys(UNIT_MM).join(', ')}
+  -c, --color <from>=<to>    recolor a layer, a source color (#RRGGBB) or an ACI number; repeatable
+      --remove-overlaps[=mm] drop duplicates and trim partial overlaps (default tolerance ${DUPLICATE_TOLERANCE} mm)
+      --bed <preset|WxH>     Auto Place every input onto this bed, one output per sheet
+      --margin <mm>          space kept around each part on the bed (default: ${DEFAULT_OPTIONS.margin})
+      --combine              lay all inputs side by side in one output
+      --name <name>          base name of a combined output (default: ${DEFAULT_OPTIONS.name})
+  -h, --help                 show this help
+
+Globs support *, ? and ** (quote them so the shell leaves them alone).
+Exits with 1 when an input fails, a part is left off the bed or two outputs would share
+a file, and with 2 for bad options.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { colors: {} };
+    const patterns = [];
+    let outDir = null;
+    let combine = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+        const value = () => {
+            if (inline !== undefined) return inline;
+            if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value`);
+            return argv[++i];
+        };
+        const number = () => {
+            const n = parseFloat(value());
+            if (!(n >= 0)) throw new UsageError(`${flag} needs a number of mm`);
+            return n;
+        };
+
+        switch (flag) {
+            case '-h': case '--help': return null;
+            case '-o': case '--out': outDir = value(); break;
+            case '-f': case '--format': options.format = value().toLowerCase(); break;
+            case '-u': case '--units': options.unit = value(); break;
+            case '-c': case '--color': {
+                const mapping = value().match(/^(.+)=(.+)$/);
+                if (!mapping) throw new UsageError('--color takes <from>=<to>, e.g. CUT=#FF0000');
+                options.colors[mapping[1]] = mapping[2];
+                break;
+            }
+            case '--remove-overlaps':
+                options.removeOverlaps = inline === undefined ? true : number();
+                break;
+            case '--bed': options.bed = value(); break;
+            case '--margin': options.margin = number(); break;
+            case '--combine': combine = true; break;
+            case '--name': options.name = value(); break;
+            default:
+                if (flag.startsWith('-')) throw new UsageError(`Unknown option ${flag}`);
+                patterns.push(flag);
+        }
+    }
+
+    if (patterns.length === 0) throw new UsageError('No input files');
+    return { options, patterns, outDir, combine: combine || Boolean(options.bed) };
+}
+
+// ============================================
+// Globs
+// ============================================
+
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            // **/ matches any number of directories, including none
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(full) : [full];
+    });
+}
+
+// Plain paths pass through; patterns expand, sorted, from the directory before the first wildcard
+function expandPattern(pattern) {
+    if (!/[*?]/.test(pattern)) return [pattern];
+    const normalized = path.posix.normalize(pattern.split(path.sep).join('/'));
+    const parts = normalized.split('/');
+    const fixed = parts.slice(0, parts.findIndex(part => /[*?]/.test(part)));
+    const base = fixed.length > 0 ? fixed.join('/') || '/' : '.';
+    if (!fs.existsSync(base)) return [];
+
+    const matcher = globToRegExp(normalized);
+    return walk(base)
+        .map(file => file.split(path.sep).join('/'))
+        .filter(file => matcher.test(file))
+        .sort();
+}
+
+// ============================================
+// Main
+// ============================================
+
+// Nothing is written if any output would replace one of the input drawings or an output of
+// this run, as inputs with the same name from different directories would under --out
+function writeOutputs(outputs, dir, inputPaths, written) {
+    if (outputs.length === 0) throw new Error('nothing to write');
+    const files = outputs.map(({ name }) => path.join(dir, name));
+    const clash = files.find(file => inputPaths.has(path.resolve(file)));
+    if (clash) throw new Error(`${clash} would overwrite an input; choose another directory with --out`);
+    const repeat = files.find(file => written.has(path.resolve(file)));
+    if (repeat) throw new Error(`${repeat} was already written from another input with the same name`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    outputs.forEach(({ data }, i) => {
+        fs.writeFileSync(files[i], data);
+        written.add(path.resolve(files[i]));
+        console.log(`Wrote ${files[i]}`);
+    });
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+        console.error(`dxf2svg: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (!args) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const matches = args.patterns.map(pattern => expandPattern(pattern).filter(file => fs.existsSync(file)));
+    const missing = args.patterns.filter((pattern, i) => matches[i].length === 0);
+    if (missing.length > 0) {
+        console.error(`dxf2svg: no files match ${missing.join(', ')}`);
+        return 1;
+    }
+
+    const files = [...new Set(matches.flat())];
+    const inputPaths = new Set(files.map(file => path.resolve(file)));
+    const written = new Set();
+    const inputs = files.map(file => ({ name: file, content: fs.readFileSync(file, 'utf8') }));
+    const batches = args.combine ? [inputs] : inputs.map(input => [input]);
+    let failed = 0;
+
+    for (const batch of batches) {
+        try {
+            const { outputs, warnings, report } = convert(batch, args.options);
+            for (const w of warnings) console.error(`warning: ${w}`);
+            if (report.removed || report.trimmed) {
+                console.log(`Removed ${report.removed} duplicate(s) and trimmed ${report.trimmed} partial overlap(s).`);
+            }
+            writeOutputs(outputs, args.outDir || path.dirname(batch[0].name), inputPaths, written);
+            // Parts left off the bed are missing from the output, so the run didn't do its job
+            if (report.unplaced > 0) failed++;
+        } catch (err) {
+            console.error(`dxf2svg: ${batch.map(input => input.name).join(', ')}: ${err.message}`);
+            failed++;
+        }
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, expandPattern };
@@ -2,51 +2,19 @@
  * Test script for DXF to SVG converter
  * Run with: node test.js
  *
- * Classes are extracted from index.html so tests always match the live code.
+ * Classes come from index.html through core.js, so tests always match the live code.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // ============================================
-// Extract classes from index.html (no duplication)
+// Load the shared code from index.html (see core.js)
 // ============================================
 
-const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
-const scriptMatch = html.match(/<script>([\s\S]*?)<\/script>/);
-if (!scriptMatch) {
-    console.error('ERROR: Could not find <script> tag in index.html');
-    process.exit(1);
-}
-
-const script = scriptMatch[1];
-const mainAppMarker = 'let importedGroups';
-const classEndIdx = script.indexOf(mainAppMarker);
-if (classEndIdx === -1) {
-    console.error('ERROR: Could not find class boundary in script');
-    process.exit(1);
-}
-
-// Build a module that exports the classes and utility functions
-const classCode = script.substring(0, classEndIdx);
-
-// Extract utility functions we need
-const utilFuncs = [];
-const getEndpointsMatch = script.match(/function getEntityEndpoints\(entity\)\s*\{[\s\S]*?\n        \}/);
-if (getEndpointsMatch) utilFuncs.push(getEndpointsMatch[0]);
-
-const dupMatch = script.match(/function entitiesAreDuplicates\(a, b\)\s*\{[\s\S]*?\n        \}/);
-if (dupMatch) utilFuncs.push(dupMatch[0]);
-
-const moduleCode = classCode + '\n'
-    + 'let duplicateTolerance = 0.1;\n'
-    + utilFuncs.join('\n') + '\n'
-    + 'module.exports = { DxfParser, SvgGenerator, DxfWriter, getEntityEndpoints, entitiesAreDuplicates };\n';
-
-const tmpFile = path.join(__dirname, '.test_classes_tmp.js');
-fs.writeFileSync(tmpFile, moduleCode);
-const { DxfParser, SvgGenerator, DxfWriter, getEntityEndpoints, entitiesAreDuplicates } = require(tmpFile);
-fs.unlinkSync(tmpFile);
+const { DxfParser, SvgGenerator, DxfWriter, getEntityEndpoints, entitiesAreDuplicates, transformEntity, scaleTransform, rotationTransform, transformAboutCenter, tessellateSpline, splineToBezierSegments, ACI_COLORS, nearestAci, textStrokes, mtextLines, parseMtextContent, measureText, hatchPolygons, hatchPatternSegments, SvgParser, serializeProject, parseProject, PROJECT_VERSION, buildContours, findContourGaps, checkGeometry, planCutOrder, applyKerf, nestingShape, shapeArea, nestShapes, nestingResolution, nestingWorkerSource, alignShifts, distributeShifts, sheetLayout, sheetOriginX, crc32, zipFiles, MACHINE_PRESETS, serializeMachinePresets, parseMachinePresets, usableBedArea, overlapRemainder, SpatialGrid, buildSpatialGrid, GcodeWriter, HpglWriter, toolpathOperations, cloneGroup, arrayOffsets, fillCount, boxSizes, MAX_FILL_COPIES, convert } = require('./core');
+const cli = require('./dxf2svg');
 
 // ============================================
 // Test Harness
@@ -83,11 +51,21 @@ function assertApprox(actual, expected, tolerance, message) {
     }
 }
 
+// Helper: build DXF text from [code, value] pairs
+function dxfText(pairs) {
+    return pairs.map(([code, value]) => `${code}\n${value}`).join('\n');
+}
+
 // Helper: make a group from entities
 function makeGroup(id, filename, entities, offsetX = 0, offsetY = 0) {
     return { id, filename, entities, offsetX, offsetY };
 }
 
+// Helper: number entities the way the app does on import; colors are keyed by these ids
+function withIds(entities, first = 0) {
+    return entities.map((entity, i) => ({ ...entity, id: first + i }));
+}
+
 // ============================================
 // Test Data
 // ============================================
@@ -184,6 +162,324 @@ test('ARC entity has correct angles', () => {
     assertApprox(arc.endAngle, 90, 0.001);
 });
 
+// Classic R12 POLYLINE: closed square with one bulged edge, then a polyface mesh
+const classicPolylineDxf = `0
+SECTION
+2
+ENTITIES
+0
+POLYLINE
+8
+0
+66
+1
+70
+1
+0
+VERTEX
+8
+0
+10
+0.0
+20
+0.0
+0
+VERTEX
+8
+0
+10
+10.0
+20
+0.0
+42
+1.0
+0
+VERTEX
+8
+0
+10
+10.0
+20
+10.0
+40
+0.5
+41
+0.25
+0
+VERTEX
+8
+0
+10
+0.0
+20
+10.0
+0
+SEQEND
+8
+0
+0
+POLYLINE
+8
+0
+66
+1
+70
+64
+0
+VERTEX
+8
+0
+10
+0.0
+20
+0.0
+70
+192
+0
+SEQEND
+8
+0
+0
+LINE
+8
+0
+10
+0.0
+20
+0.0
+11
+5.0
+21
+5.0
+0
+ENDSEC
+0
+EOF`;
+
+test('Classic POLYLINE collects VERTEX entities up to SEQEND', () => {
+    const parser = new DxfParser();
+    const parsed = parser.parse(classicPolylineDxf);
+    const types = parsed.entities.map(e => e.type);
+    assertEqual(types.join(','), 'LINE,ARC,LINE,LINE,LINE', 'Closed 4-vertex polyline + trailing LINE');
+});
+
+test('Classic POLYLINE vertex bulge becomes an ARC', () => {
+    const parser = new DxfParser();
+    const arc = parser.parse(classicPolylineDxf).entities[1];
+    assertApprox(arc.center.x, 10, 0.001, 'Semicircle center x');
+    assertApprox(arc.center.y, 5, 0.001, 'Semicircle center y');
+    assertApprox(arc.radius, 5, 0.001, 'Semicircle radius');
+});
+
+test('Classic POLYLINE vertices keep widths and flags', () => {
+    const parser = new DxfParser();
+    const lines = classicPolylineDxf.split('\n');
+    const start = lines.indexOf('POLYLINE') + 1;
+    const result = parser.parseEntity('POLYLINE', lines, start);
+    parser.parseVertexSequence(result.entity, lines, result.nextIndex);
+    const v = result.entity.vertices[2];
+    assertEqual(result.entity.vertices.length, 4, 'Vertex count');
+    assertApprox(v.startWidth, 0.5, 0.001, 'Start width');
+    assertApprox(v.endWidth, 0.25, 0.001, 'End width');
+    assertEqual(v.flags, 0, 'Vertex flags');
+});
+
+test('Polyface mesh POLYLINE is skipped and reported', () => {
+    const parser = new DxfParser();
+    const parsed = parser.parse(classicPolylineDxf);
+    assertEqual(parsed.warnings.length, 1, 'One warning');
+    assert(parsed.warnings[0].includes('polyface mesh'), `Unexpected warning: ${parsed.warnings[0]}`);
+});
+
+// --- DxfParser: BLOCKS / INSERT ---
+
+console.log('\n--- DxfParser: BLOCKS / INSERT ---');
+
+// Block "PART": a LINE (0,0)-(10,0) and a quarter ARC, base point (0,0).
+// Block "OUTER": inserts PART at (100,0). ENTITIES are supplied per test.
+function blockDxf(entityPairs) {
+    return dxfText([
+        [0, 'SECTION'], [2, 'BLOCKS'],
+        [0, 'BLOCK'], [2, 'PART'], [70, 0], [10, 0], [20, 0],
+        [0, 'LINE'], [8, 0], [10, 0], [20, 0], [11, 10], [21, 0],
+        [0, 'ARC'], [8, 0], [10, 0], [20, 0], [40, 5], [50, 0], [51, 90],
+        [0, 'ENDBLK'], [8, 0],
+        [0, 'BLOCK'], [2, 'OUTER'], [70, 0], [10, 0], [20, 0],
+        [0, 'INSERT'], [8, 0], [2, 'PART'], [10, 100], [20, 0],
+        [0, 'ENDBLK'], [8, 0],
+        [0, 'ENDSEC'],
+        [0, 'SECTION'], [2, 'ENTITIES'],
+        ...entityPairs,
+        [0, 'ENDSEC'], [0, 'EOF']
+    ]);
+}
+
+test('INSERT expands block entities at the insertion point', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 50], [20, 20]]));
+    assertEqual(parsed.entities.map(e => e.type).join(','), 'LINE,ARC');
+    assertApprox(parsed.entities[0].start.x, 50, 0.001, 'start.x');
+    assertApprox(parsed.entities[0].end.x, 60, 0.001, 'end.x');
+    assertApprox(parsed.entities[1].center.y, 20, 0.001, 'arc center.y');
+});
+
+test('INSERT rotation rotates geometry and arc angles', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 0], [20, 0], [50, 90]]));
+    const [line, arc] = parsed.entities;
+    assertApprox(line.end.x, 0, 0.001, 'end.x');
+    assertApprox(line.end.y, 10, 0.001, 'end.y');
+    assertApprox(arc.startAngle, 90, 0.001, 'startAngle');
+    assertApprox(arc.endAngle, 180, 0.001, 'endAngle');
+});
+
+test('INSERT negative X scale mirrors and keeps arcs CCW', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 0], [20, 0], [41, -2], [42, 2]]));
+    const [line, arc] = parsed.entities;
+    assertApprox(line.end.x, -20, 0.001, 'mirrored end.x');
+    assertApprox(arc.radius, 10, 0.001, 'scaled radius');
+    assertApprox(arc.startAngle, 90, 0.001, 'startAngle');
+    assertApprox(arc.endAngle, 180, 0.001, 'endAngle');
+    const pts = getEntityEndpoints(arc);
+    assertApprox(pts[1].x, -10, 0.001, 'arc ends on mirrored start point');
+});
+
+test('INSERT with a (0, 0, -1) extrusion is mirrored in X, insertion point included', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 50], [20, 20], [210, 0], [220, 0], [230, -1]]));
+    const [line, arc] = parsed.entities;
+    assertApprox(line.start.x, -50, 0.001, 'start.x');
+    assertApprox(line.end.x, -60, 0.001, 'end.x');
+    assertApprox(line.end.y, 20, 0.001, 'end.y');
+    assertApprox(arc.center.x, -50, 0.001, 'arc center.x');
+    assertApprox(arc.startAngle, 90, 0.001, 'startAngle');
+    assertApprox(arc.endAngle, 180, 0.001, 'endAngle');
+
+    const upright = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 50], [20, 20], [230, 1]]));
+    assertApprox(upright.entities[0].end.x, 60, 0.001, '+Z extrusion is unchanged');
+});
+
+test('INSERT non-uniform scale turns an arc into an elliptical arc', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'PART'], [10, 0], [20, 0], [41, 2], [42, 1]]));
+    const arc = parsed.entities[1];
+    assertEqual(arc.type, 'ELLIPSE');
+    assertApprox(Math.hypot(arc.majorAxis.x, arc.majorAxis.y), 10, 0.001, 'major length');
+    assertApprox(arc.ratio, 0.5, 0.001, 'ratio');
+});
+
+test('INSERT column/row array repeats the block', () => {
+    const parsed = new DxfParser().parse(blockDxf([
+        [0, 'INSERT'], [2, 'PART'], [10, 0], [20, 0], [70, 3], [71, 2], [44, 20], [45, 30]
+    ]));
+    assertEqual(parsed.entities.length, 12, '3 columns x 2 rows x 2 entities');
+    const lines = parsed.entities.filter(e => e.type === 'LINE');
+    assertApprox(Math.max(...lines.map(l => l.start.x)), 40, 0.001, 'last column x');
+    assertApprox(Math.max(...lines.map(l => l.start.y)), 30, 0.001, 'last row y');
+});
+
+test('Nested INSERT applies both transforms', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'OUTER'], [10, 0], [20, 5], [41, 0.5], [42, 0.5]]));
+    assertApprox(parsed.entities[0].start.x, 50, 0.001, 'nested start.x');
+    assertApprox(parsed.entities[0].start.y, 5, 0.001, 'nested start.y');
+    assertApprox(parsed.entities[0].end.x, 55, 0.001, 'nested end.x');
+});
+
+test('INSERT of a missing block is reported', () => {
+    const parsed = new DxfParser().parse(blockDxf([[0, 'INSERT'], [2, 'NOPE'], [10, 0], [20, 0]]));
+    assertEqual(parsed.entities.length, 0);
+    assert(parsed.warnings[0].includes('missing block "NOPE"'), `Unexpected warning: ${parsed.warnings[0]}`);
+});
+
+test('Block definitions alone produce no entities', () => {
+    const parsed = new DxfParser().parse(blockDxf([]));
+    assertEqual(parsed.entities.length, 0);
+});
+
+test('transformEntity converts a circle to an ellipse under non-uniform scale', () => {
+    const e = transformEntity({ type: 'CIRCLE', center: { x: 1, y: 1 }, radius: 2 }, scaleTransform(1, 3));
+    assertEqual(e.type, 'ELLIPSE');
+    assertApprox(Math.hypot(e.majorAxis.x, e.majorAxis.y), 6, 0.001, 'major length');
+    assertApprox(e.ratio, 1 / 3, 0.001, 'ratio');
+    assertApprox(e.center.y, 3, 0.001, 'center.y');
+});
+
+test('transformAboutCenter mirrors arcs and splines in place', () => {
+    const entities = [
+        { type: 'ARC', center: { x: 0, y: 0 }, radius: 10, startAngle: 0, endAngle: 90 },
+        { type: 'SPLINE', degree: 2, controlPoints: [{ x: 0, y: 0 }, { x: 5, y: 10 }, { x: 10, y: 0 }] }
+    ];
+    const mirrored = transformAboutCenter(entities, scaleTransform(-1, 1));
+    const gen = new SvgGenerator();
+    const before = gen.calculateBoundsForEntities(entities);
+    const after = gen.calculateBoundsForEntities(mirrored);
+    assertApprox(after.minX, before.minX, 0.001, 'minX');
+    assertApprox(after.maxX, before.maxX, 0.001, 'maxX');
+    // The quarter arc from +x to +y flips to the one from +y to -x, still counterclockwise
+    assertApprox(mirrored[0].center.x, 0, 0.001, 'arc center');
+    assertApprox(mirrored[0].startAngle, 90, 0.001, 'arc start');
+    assertApprox(mirrored[0].endAngle, 180, 0.001, 'arc end');
+    assertApprox(mirrored[1].controlPoints[0].x, 0, 0.001, 'spline start');
+    assertApprox(mirrored[1].controlPoints[1].x, -5, 0.001, 'spline middle');
+    assertApprox(mirrored[1].controlPoints[2].x, -10, 0.001, 'spline end');
+    assertEqual(entities[0].startAngle, 0, 'input untouched');
+});
+
+test('transformAboutCenter rotates an ellipse about the group center', () => {
+    const entities = [
+        { type: 'ELLIPSE', center: { x: 20, y: 10 }, majorAxis: { x: 20, y: 0 }, ratio: 0.5, startAngle: 0, endAngle: Math.PI * 2 }
+    ];
+    const [e] = transformAboutCenter(entities, rotationTransform(Math.PI / 2));
+    assertApprox(e.center.x, 20, 0.001, 'center.x');
+    assertApprox(e.center.y, 10, 0.001, 'center.y');
+    assertApprox(Math.abs(e.majorAxis.y), 20, 0.001, 'major axis now vertical');
+    assertApprox(e.ratio, 0.5, 0.001, 'ratio');
+    const b = new SvgGenerator().calculateBoundsForEntities([e]);
+    assertApprox(b.maxX - b.minX, 20, 0.001, 'width');
+    assertApprox(b.maxY - b.minY, 40, 0.001, 'height');
+});
+
+// --- DxfParser: HEADER / units ---
+
+console.log('\n--- DxfParser: HEADER / units ---');
+
+function headerDxf(headerPairs, entityPairs) {
+    return dxfText([
+        [0, 'SECTION'], [2, 'HEADER'], ...headerPairs, [0, 'ENDSEC'],
+        [0, 'SECTION'], [2, 'ENTITIES'], ...entityPairs, [0, 'ENDSEC'], [0, 'EOF']
+    ]);
+}
+
+const tinyLine = [[0, 'LINE'], [10, 0], [20, 0], [11, 0.8], [21, 0]];
+
+test('$INSUNITS overrides the size heuristic', () => {
+    const parsed = new DxfParser().parse(headerDxf([[9, '$INSUNITS'], [70, 4]], tinyLine));
+    assertEqual(parsed.header.insunits, 4);
+    assertEqual(parsed.units.unit, 'mm', '0.8 mm part stays mm');
+    assert(parsed.units.reason.includes('$INSUNITS'), parsed.units.reason);
+});
+
+test('$INSUNITS maps feet and centimeters', () => {
+    assertEqual(new DxfParser().parse(headerDxf([[9, '$INSUNITS'], [70, 2]], tinyLine)).units.unit, 'ft');
+    assertEqual(new DxfParser().parse(headerDxf([[9, '$INSUNITS'], [70, 5]], tinyLine)).units.unit, 'cm');
+});
+
+test('Unitless file falls back to $MEASUREMENT', () => {
+    const parsed = new DxfParser().parse(headerDxf([[9, '$INSUNITS'], [70, 0], [9, '$MEASUREMENT'], [70, 0]], tinyLine));
+    assertEqual(parsed.units.unit, 'in');
+    assert(parsed.units.reason.includes('$MEASUREMENT'), parsed.units.reason);
+});
+
+test('No unit variables uses $EXTMIN/$EXTMAX for the size heuristic', () => {
+    const parsed = new DxfParser().parse(headerDxf([
+        [9, '$EXTMIN'], [10, 0], [20, 0], [30, 0],
+        [9, '$EXTMAX'], [10, 400], [20, 30], [30, 0]
+    ], tinyLine));
+    assertApprox(parsed.header.extMax.x, 400, 0.001, 'extMax.x');
+    assertEqual(parsed.units.unit, 'mm', 'Extents are large, not inches');
+});
+
+test('No header at all keeps the legacy heuristic', () => {
+    const parsed = new DxfParser().parse(dxfText([[0, 'SECTION'], [2, 'ENTITIES'], ...tinyLine, [0, 'ENDSEC'], [0, 'EOF']]));
+    assertEqual(parsed.units.unit, 'in');
+});
+
 // --- DxfParser: testfile1.dxf ---
 
 const testfile1Path = path.join(__dirname, 'testfile1.dxf');
@@ -440,10 +736,10 @@ test('generateCompositeSvg applies color overrides', () => {
     const parser = new DxfParser();
     const parsed = parser.parse(simpleDxf);
     const gen = new SvgGenerator();
-    const groups = [makeGroup(0, 'test', parsed.entities)];
+    const groups = [makeGroup(0, 'test', withIds(parsed.entities))];
     const colors = new Map();
-    colors.set('0-0', '#FF0000');
-    colors.set('0-1', '#0000FF');
+    colors.set(0, '#FF0000');
+    colors.set(1, '#0000FF');
 
     const svg = gen.generateCompositeSvg(groups, colors, 1, true);
     assert(svg.includes('stroke="#FF0000"'), 'First entity should be red');
@@ -479,7 +775,7 @@ if (hasTestfile2) {
         assert(svg.includes('<svg'), 'Should have svg element');
         assert(svg.includes('<circle'), 'Should have circle from testfile2');
         assert(svg.includes('<path'), 'Should have paths from polylines/splines');
-        assert(svg.includes('<line'), 'Should have line elements');
+        assert(svg.includes(' Z"'), 'Outlines should be joined into closed paths');
 
         // Write output for manual inspection
         fs.writeFileSync(path.join(__dirname, 'testfile2_output.svg'), svg);
@@ -502,6 +798,97 @@ if (hasTestfile2) {
     });
 }
 
+// --- Splines ---
+
+console.log('\n--- Splines ---');
+
+// Rational quadratic quarter circle of radius 10
+const quarterCircleSpline = {
+    type: 'SPLINE',
+    degree: 2,
+    knots: [0, 0, 0, 1, 1, 1],
+    controlPoints: [{ x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }],
+    weights: [1, Math.SQRT1_2, 1]
+};
+
+test('Rational spline evaluates exactly on the circle', () => {
+    const pts = tessellateSpline(quarterCircleSpline, 0.001);
+    assert(pts.length > 4, 'Should subdivide');
+    for (const p of pts) {
+        assertApprox(Math.hypot(p.x, p.y), 10, 1e-9, 'radius');
+    }
+    assertApprox(pts[pts.length - 1].x, 0, 1e-9, 'ends at (0,10)');
+});
+
+test('Tessellation is adaptive to the chord tolerance', () => {
+    const coarse = tessellateSpline(quarterCircleSpline, 0.1);
+    const fine = tessellateSpline(quarterCircleSpline, 0.0001);
+    assert(fine.length > coarse.length * 2, `fine ${fine.length} vs coarse ${coarse.length}`);
+    // Max sagitta of each chord must stay inside the tolerance
+    for (let i = 1; i < coarse.length; i++) {
+        const mx = (coarse[i - 1].x + coarse[i].x) / 2, my = (coarse[i - 1].y + coarse[i].y) / 2;
+        assert(10 - Math.hypot(mx, my) <= 0.1 + 1e-9, 'chord error within tolerance');
+    }
+});
+
+test('Spline uses knots, not Catmull-Rom through control points', () => {
+    // Clamped cubic with one interior knot: curve must not pass through the middle control points
+    const spline = {
+        type: 'SPLINE', degree: 3, knots: [0, 0, 0, 0, 0.5, 1, 1, 1, 1],
+        controlPoints: [{ x: 0, y: 0 }, { x: 10, y: 20 }, { x: 20, y: -20 }, { x: 30, y: 20 }, { x: 40, y: 0 }]
+    };
+    const pts = tessellateSpline(spline, 0.001);
+    const maxY = Math.max(...pts.map(p => p.y));
+    assert(maxY < 15, `Curve should stay well inside the control polygon, got maxY ${maxY}`);
+});
+
+test('Non-rational cubic decomposes into exact Bezier segments', () => {
+    const spline = {
+        type: 'SPLINE', degree: 3, knots: [0, 0, 0, 0, 0.5, 1, 1, 1, 1],
+        controlPoints: [{ x: 0, y: 0 }, { x: 10, y: 20 }, { x: 20, y: -20 }, { x: 30, y: 20 }, { x: 40, y: 0 }]
+    };
+    const segments = splineToBezierSegments(spline);
+    assertEqual(segments.length, 2, 'One Bezier per knot span');
+    const pts = tessellateSpline(spline, 0.0001);
+    // The shared segment point lies on the curve
+    const joint = segments[0][3];
+    const nearest = Math.min(...pts.map(p => Math.hypot(p.x - joint.x, p.y - joint.y)));
+    assert(nearest < 0.01, `Bezier joint should lie on the curve (off by ${nearest})`);
+
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 's', [spline])], new Map(), 1, true);
+    assert(/ C /.test(svg), 'SVG should use cubic commands');
+});
+
+test('Rational and high-degree splines fall back to polylines', () => {
+    assertEqual(splineToBezierSegments(quarterCircleSpline), null);
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 's', [quarterCircleSpline])], new Map(), 1, true);
+    assert(!/ C /.test(svg) && / L /.test(svg), 'Rational spline drawn as a polyline');
+});
+
+test('Fit-point-only SPLINE passes through its fit points', () => {
+    const fit = [[0, 0], [10, 5], [20, -5], [30, 0], [40, 8]];
+    const pairs = [[0, 'SPLINE'], [8, 0], [70, 8], [71, 3], [74, fit.length]];
+    for (const [x, y] of fit) pairs.push([11, x], [21, y], [31, 0]);
+    const parsed = new DxfParser().parse(dxfText([[0, 'SECTION'], [2, 'ENTITIES'], ...pairs, [0, 'ENDSEC'], [0, 'EOF']]));
+    const spline = parsed.entities[0];
+    assertEqual(spline.controlPoints.length, fit.length, 'One control point per fit point');
+    const pts = tessellateSpline(spline, 0.00001);
+    for (const [x, y] of fit) {
+        const nearest = Math.min(...pts.map(p => Math.hypot(p.x - x, p.y - y)));
+        assert(nearest < 0.05, `Curve misses fit point (${x}, ${y}) by ${nearest}`);
+    }
+    // Fit points sit on the ends exactly
+    assertApprox(pts[0].x, 0, 1e-9, 'start');
+    assertApprox(pts[pts.length - 1].y, 8, 1e-9, 'end');
+});
+
+test('SPLINE weights (code 41) are parsed and round-trip through DxfWriter', () => {
+    const writer = new DxfWriter([makeGroup(0, 's', [quarterCircleSpline])], new Map());
+    const reparsed = new DxfParser().parse(writer.generate()).entities[0];
+    assertEqual(reparsed.weights.length, 3, 'weights');
+    assertApprox(reparsed.weights[1], Math.SQRT1_2, 1e-6, 'middle weight');
+});
+
 // --- DxfWriter ---
 
 console.log('\n--- DxfWriter ---');
@@ -606,9 +993,9 @@ test('DxfWriter applies group offset to coordinates', () => {
 test('DxfWriter applies color overrides as ACI', () => {
     const parser = new DxfParser();
     const parsed = parser.parse(simpleDxf);
-    const groups = [makeGroup(0, 'test', parsed.entities)];
+    const groups = [makeGroup(0, 'test', withIds(parsed.entities))];
     const colors = new Map();
-    colors.set('0-0', '#FF0000');
+    colors.set(0, '#FF0000');
 
     const writer = new DxfWriter(groups, colors);
     const dxf = writer.generate();
@@ -707,6 +1094,1342 @@ if (hasTestfile2) {
     });
 }
 
+// --- Layers ---
+
+console.log('\n--- Layers ---');
+
+const layeredDxf = dxfText([
+    [0, 'SECTION'], [2, 'TABLES'], [0, 'TABLE'], [2, 'LAYER'], [70, 2],
+    [0, 'LAYER'], [2, 'CUT'], [70, 0], [62, 1], [6, 'CONTINUOUS'],
+    [0, 'LAYER'], [2, 'NOTES'], [70, 1], [62, -3], [6, 'CONTINUOUS'],
+    [0, 'ENDTAB'], [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'BLOCKS'],
+    [0, 'BLOCK'], [2, 'HOLE'], [10, 0], [20, 0],
+    [0, 'CIRCLE'], [8, '0'], [10, 0], [20, 0], [40, 1],
+    [0, 'CIRCLE'], [8, 'CUT'], [10, 0], [20, 0], [40, 2],
+    [0, 'ENDBLK'], [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'ENTITIES'],
+    [0, 'LINE'], [8, 'CUT'], [10, 0], [20, 0], [11, 10], [21, 0],
+    [0, 'LWPOLYLINE'], [8, 'SCORE'], [90, 3], [70, 0], [10, 0], [20, 5], [10, 5], [20, 5], [10, 5], [20, 8],
+    [0, 'INSERT'], [8, 'ENGRAVE'], [2, 'HOLE'], [10, 20], [20, 20],
+    [0, 'LINE'], [10, 0], [20, 1], [11, 1], [21, 1],
+    [0, 'ENDSEC'], [0, 'EOF']
+]);
+
+test('Entities keep their layer, defaulting to 0', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    const layers = parsed.entities.map(e => e.layer);
+    assertEqual(layers[0], 'CUT');
+    assertEqual(layers[1], 'SCORE', 'Polyline segments inherit the polyline layer');
+    assertEqual(layers[2], 'SCORE');
+    assertEqual(layers[layers.length - 1], '0', 'Entity without code 8');
+});
+
+test('Block entities on layer 0 take the INSERT layer', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    const circles = parsed.entities.filter(e => e.type === 'CIRCLE');
+    assertEqual(circles.find(c => c.radius === 1).layer, 'ENGRAVE');
+    assertEqual(circles.find(c => c.radius === 2).layer, 'CUT', 'Explicit block layer is kept');
+});
+
+test('LAYER table records report color, off and frozen', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    assertEqual(parsed.layers.length, 2);
+    const [cut, notes] = parsed.layers;
+    assertEqual(cut.name, 'CUT');
+    assertEqual(cut.color, 1);
+    assert(!cut.off && !cut.frozen, 'CUT is on and thawed');
+    assertEqual(notes.color, 3);
+    assert(notes.off, 'Negative color means off');
+    assert(notes.frozen, 'Flag 1 means frozen');
+});
+
+test('SVG export writes one Inkscape layer per DXF layer', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 'l', parsed.entities)], new Map(), 1, true);
+    assert(svg.includes('xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"'), 'Inkscape namespace');
+    for (const name of ['CUT', 'SCORE', 'ENGRAVE']) {
+        assert(svg.includes(`<g id="${name}" inkscape:groupmode="layer" inkscape:label="${name}"`), `Layer ${name}`);
+    }
+    assert(svg.includes('<g id="layer_0" inkscape:groupmode="layer" inkscape:label="0"'), 'Numeric layer names get a valid id');
+});
+
+test('SVG export escapes layer labels and dedupes ids', () => {
+    const entities = [
+        { type: 'LINE', layer: 'A&B', start: { x: 0, y: 0 }, end: { x: 1, y: 0 } },
+        { type: 'LINE', layer: 'A B', start: { x: 0, y: 1 }, end: { x: 1, y: 1 } }
+    ];
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 'l', entities)], new Map(), 1, true);
+    assert(svg.includes('id="A_B" inkscape:groupmode="layer" inkscape:label="A&amp;B"'), 'First layer');
+    assert(svg.includes('id="A_B_2" inkscape:groupmode="layer" inkscape:label="A B"'), 'Second layer');
+});
+
+test('Hidden layers are left out of preview and exports', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    const groups = [makeGroup(0, 'l', withIds(parsed.entities))];
+    const hiddenLayers = new Set(['SCORE']);
+    const gen = new SvgGenerator();
+
+    const preview = gen.generateCompositeSvg(groups, new Map(), 1, false, { hiddenLayers });
+    assert(!preview.includes('data-layer="SCORE"'), 'Preview skips hidden layer');
+    assert(preview.includes('data-element-id="0" data-layer="CUT"'), 'Preview tags elements with their layer');
+    assert(preview.includes('data-element-id="3"'), 'Entity ids are kept after a hidden one');
+
+    const svg = gen.generateCompositeSvg(groups, new Map(), 1, true, { hiddenLayers });
+    assert(!svg.includes('inkscape:label="SCORE"'), 'SVG export skips hidden layer');
+
+    const dxf = new DxfWriter(groups, new Map(), { hiddenLayers }).generate();
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(reparsed.entities.filter(e => e.layer === 'SCORE').length, 0, 'DXF export skips hidden layer');
+    assert(!reparsed.layers.some(l => l.name === 'SCORE'), 'No table entry for hidden layer');
+});
+
+test('DXF export round-trips layers through the LAYER table', () => {
+    const parsed = new DxfParser().parse(layeredDxf);
+    const dxf = new DxfWriter([makeGroup(0, 'l', parsed.entities)], new Map()).generate();
+    assert(dxf.includes('TABLES'), 'Should have TABLES section');
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(reparsed.layers.map(l => l.name).join(','), 'CUT,SCORE,ENGRAVE,0');
+    assertEqual(
+        reparsed.entities.map(e => e.layer).join(','),
+        parsed.entities.map(e => e.layer).join(','),
+        'Entity layers survive'
+    );
+});
+
+// --- Colors ---
+
+console.log('\n--- Colors ---');
+
+test('ACI palette has 256 entries with the standard colors', () => {
+    assertEqual(ACI_COLORS.length, 256);
+    assertEqual(ACI_COLORS[1], '#FF0000');
+    assertEqual(ACI_COLORS[5], '#0000FF');
+    assertEqual(ACI_COLORS[7], '#000000', '7 draws black on a white bed');
+    assertEqual(ACI_COLORS[30], '#FF7F00');
+    assertEqual(ACI_COLORS[11], '#FF7F7F', 'Odd indices are half saturation');
+    assertEqual(ACI_COLORS[14], '#7F0000');
+    assertEqual(ACI_COLORS[21], '#FF9F7F');
+    assertEqual(ACI_COLORS.slice(250).join(), '#333333,#505050,#696969,#828282,#BEBEBE,#FFFFFF', 'Gray ramp 250-255');
+});
+
+test('nearestAci finds the closest palette entry', () => {
+    assertEqual(nearestAci('#FE0101'), 1);
+    assertEqual(nearestAci('#7f0000'), 14);
+    assertEqual(nearestAci('#FFFFFF'), 255);
+});
+
+const colorDxf = dxfText([
+    [0, 'SECTION'], [2, 'TABLES'], [0, 'TABLE'], [2, 'LAYER'], [70, 2],
+    [0, 'LAYER'], [2, 'CUT'], [70, 0], [62, 1], [6, 'CONTINUOUS'],
+    [0, 'LAYER'], [2, 'ENGRAVE'], [70, 0], [62, 5], [420, 0x3366CC], [6, 'CONTINUOUS'],
+    [0, 'ENDTAB'], [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'BLOCKS'],
+    [0, 'BLOCK'], [2, 'DOT'], [10, 0], [20, 0],
+    [0, 'CIRCLE'], [8, '0'], [62, 0], [10, 0], [20, 0], [40, 1],
+    [0, 'CIRCLE'], [8, '0'], [10, 0], [20, 0], [40, 2],
+    [0, 'ENDBLK'], [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'ENTITIES'],
+    [0, 'LINE'], [8, 'CUT'], [10, 0], [20, 0], [11, 1], [21, 0],
+    [0, 'LINE'], [8, 'CUT'], [62, 3], [10, 0], [20, 1], [11, 1], [21, 1],
+    [0, 'LINE'], [8, 'CUT'], [62, 3], [420, 0xFFA500], [10, 0], [20, 2], [11, 1], [21, 2],
+    [0, 'LINE'], [8, 'ENGRAVE'], [10, 0], [20, 3], [11, 1], [21, 3],
+    [0, 'LINE'], [8, 'MISSING'], [10, 0], [20, 4], [11, 1], [21, 4],
+    [0, 'INSERT'], [8, 'CUT'], [62, 6], [2, 'DOT'], [10, 5], [20, 5],
+    [0, 'INSERT'], [8, 'ENGRAVE'], [2, 'DOT'], [10, 9], [20, 9],
+    [0, 'ENDSEC'], [0, 'EOF']
+]);
+
+test('Entity colors resolve ACI, true color and ByLayer', () => {
+    const e = new DxfParser().parse(colorDxf).entities;
+    assertEqual(e[0].color, '#FF0000', 'ByLayer uses layer ACI');
+    assertEqual(e[1].color, '#00FF00', 'Explicit ACI');
+    assertEqual(e[2].color, '#FFA500', 'Code 420 wins over 62');
+    assertEqual(e[3].color, '#3366CC', 'ByLayer uses layer true color');
+    assertEqual(e[4].color, undefined, 'Unknown layer leaves the default');
+});
+
+test('ByBlock takes the INSERT color, ByLayer in a block takes the INSERT layer', () => {
+    const circles = new DxfParser().parse(colorDxf).entities.filter(e => e.type === 'CIRCLE');
+    assertEqual(circles.length, 4);
+    assertEqual(circles[0].color, '#FF00FF', 'ByBlock -> INSERT ACI 6');
+    assertEqual(circles[1].color, '#FF0000', 'ByLayer on layer 0 -> CUT layer color');
+    assertEqual(circles[2].color, '#3366CC', 'ByBlock of a ByLayer INSERT -> its layer color');
+    assertEqual(circles[3].color, '#3366CC');
+});
+
+test('LWPOLYLINE segments keep the polyline color', () => {
+    const parsed = new DxfParser().parse(dxfText([
+        [0, 'SECTION'], [2, 'ENTITIES'],
+        [0, 'LWPOLYLINE'], [62, 2], [90, 3], [70, 1], [10, 0], [20, 0], [10, 5], [20, 0], [10, 5], [20, 5],
+        [0, 'ENDSEC'], [0, 'EOF']
+    ]));
+    assertEqual(parsed.entities.length, 3);
+    assert(parsed.entities.every(e => e.color === '#FFFF00'), 'All segments yellow');
+});
+
+test('DxfWriter round-trips arbitrary hex colors with code 420', () => {
+    const entities = [
+        { type: 'LINE', start: { x: 0, y: 0 }, end: { x: 1, y: 0 } },
+        { type: 'LINE', start: { x: 0, y: 1 }, end: { x: 1, y: 1 } },
+        { type: 'LINE', start: { x: 0, y: 2 }, end: { x: 1, y: 2 } }
+    ];
+    const colors = new Map([[0, '#123456'], [1, '#ff0000'], [2, '#FFA500']]);
+    const dxf = new DxfWriter([makeGroup(0, 'c', withIds(entities))], colors).generate();
+    assert(dxf.includes(' 62\n' + nearestAci('#123456') + '\n420\n' + 0x123456 + '\n'), 'Nearest ACI plus true color');
+    assert(!dxf.includes('420\n' + 0xFF0000 + '\n'), 'Exact palette colors skip 420');
+
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(reparsed.entities.map(e => e.color).join(','), '#123456,#FF0000,#FFA500');
+});
+
+// --- Text ---
+
+console.log('\n--- Text ---');
+
+function textDxf(entityPairs) {
+    return dxfText([[0, 'SECTION'], [2, 'ENTITIES'], ...entityPairs, [0, 'ENDSEC'], [0, 'EOF']]);
+}
+
+function strokeBounds(strokes) {
+    const pts = strokes.flat();
+    return {
+        minX: Math.min(...pts.map(p => p.x)), maxX: Math.max(...pts.map(p => p.x)),
+        minY: Math.min(...pts.map(p => p.y)), maxY: Math.max(...pts.map(p => p.y))
+    };
+}
+
+test('Parse TEXT with height, rotation, width factor and codes', () => {
+    const parsed = new DxfParser().parse(textDxf([
+        [0, 'TEXT'], [8, 'ENGRAVE'], [10, 5], [20, 6], [40, 2.5], [1, 'SN-42 %%d%%p'], [50, 90], [41, 0.8], [71, 2]
+    ]));
+    const t = parsed.entities[0];
+    assertEqual(t.type, 'TEXT');
+    assertEqual(t.layer, 'ENGRAVE');
+    assertEqual(t.text, 'SN-42 °±');
+    assertEqual(t.height, 2.5);
+    assertEqual(t.rotation, 90);
+    assertEqual(t.widthFactor, 0.8);
+    assert(t.backward, 'Flag 2 is backward');
+    assertEqual(t.alignPoint, null);
+});
+
+test('TEXT cap height matches the text height', () => {
+    const t = { type: 'TEXT', text: 'H', insertionPoint: { x: 10, y: 20 }, height: 4, rotation: 0 };
+    const b = strokeBounds(textStrokes(t));
+    assertApprox(b.minY, 20, 1e-9, 'Baseline at insertion point');
+    assertApprox(b.maxY, 24, 1e-9, 'Cap height');
+    assertApprox(b.minX, 10, 1e-9);
+});
+
+test('TEXT rotation and justification', () => {
+    const base = { type: 'TEXT', text: 'AB', insertionPoint: { x: 0, y: 0 }, height: 8, rotation: 0 };
+    const width = measureText('AB');
+
+    const rotated = strokeBounds(textStrokes({ ...base, rotation: 90 }));
+    assertApprox(rotated.minY, 0, 1e-9, 'Runs up from the insertion point');
+    assertApprox(rotated.maxY, width, 1e-9);
+    assertApprox(rotated.minX, -8, 1e-9, 'Caps extend to -x');
+
+    const right = strokeBounds(textStrokes({ ...base, hAlign: 2, vAlign: 3, alignPoint: { x: 100, y: 50 } }));
+    assertApprox(right.maxX, 100, 1e-9, 'Right-justified at the alignment point');
+    assertApprox(right.maxY, 50, 1e-9, 'Top-justified at the alignment point');
+
+    const fit = strokeBounds(textStrokes({ ...base, hAlign: 5, alignPoint: { x: 40, y: 0 } }));
+    assertApprox(fit.minX, 0, 1e-9, 'Fit starts at the insertion point');
+    assertApprox(fit.maxX, 40, 1e-9, 'Fit ends at the alignment point');
+    assertApprox(fit.maxY, 8, 1e-9, 'Fit keeps the height');
+});
+
+test('MTEXT formatting codes are stripped', () => {
+    const lines = parseMtextContent('{\\fArial|b1;Part\\P\\H2.5;No.\\~\\S1^2;}\\\\x');
+    assertEqual(lines.length, 2);
+    assertEqual(lines[0], 'Part');
+    assertEqual(lines[1], 'No. 1/2\\x');
+});
+
+test('Parse MTEXT with chunks, attachment and direction', () => {
+    const parsed = new DxfParser().parse(textDxf([
+        [0, 'MTEXT'], [10, 0], [20, 0], [40, 3], [41, 0], [71, 5], [3, 'LINE ONE\\P'], [1, 'LINE TWO'], [11, 0], [21, 1]
+    ]));
+    const m = parsed.entities[0];
+    assertEqual(m.type, 'MTEXT');
+    assertEqual(m.text, 'LINE ONE\\PLINE TWO');
+    assertEqual(m.attachment, 5);
+    assertApprox(m.rotation, 90, 1e-9, 'Direction vector sets rotation');
+    const lines = mtextLines(m);
+    assertEqual(lines.length, 2);
+    assertEqual(lines[1].text, 'LINE TWO');
+});
+
+test('MTEXT middle-center attachment centers the block', () => {
+    const m = { type: 'MTEXT', text: 'AB\\PAB', insertionPoint: { x: 0, y: 0 }, height: 3, rotation: 0, attachment: 5 };
+    const b = strokeBounds(textStrokes(m));
+    assertApprox((b.minX + b.maxX) / 2, 0, 1e-9, 'Horizontally centered');
+    assertApprox(b.maxY, 3 * (1 + 5 / 3) / 2, 1e-9, 'Top cap line half the block above');
+});
+
+test('MTEXT wraps words to the reference width', () => {
+    const m = { type: 'MTEXT', text: 'ONE TWO THREE', insertionPoint: { x: 0, y: 0 }, height: 8, rotation: 0, width: measureText('ONE TWO') };
+    assertEqual(mtextLines(m).map(l => l.text).join('|'), 'ONE TWO|THREE');
+});
+
+test('Text renders as one path and survives transforms', () => {
+    const t = { type: 'TEXT', text: 'Hi', insertionPoint: { x: 0, y: 0 }, height: 2, rotation: 0, widthFactor: 1, id: 7 };
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 't', [t])], new Map([[7, '#FF0000']]), 1, false);
+    assertEqual((svg.match(/<path /g) || []).length, 1, 'Single path per text');
+    assert(svg.includes('data-element-id="7"') && svg.includes('stroke="#FF0000"'), 'Selectable and colorable');
+
+    const mirrored = transformEntity(t, scaleTransform(-2, 2));
+    assert(mirrored.backward, 'Mirroring reads backwards');
+    assertApprox(mirrored.height, 4, 1e-9);
+    const b = strokeBounds(textStrokes(mirrored));
+    const orig = strokeBounds(textStrokes(t));
+    assertApprox(b.maxX, -2 * orig.minX, 1e-9);
+    assertApprox(b.minX, -2 * orig.maxX, 1e-9);
+});
+
+test('DxfWriter round-trips TEXT and writes MTEXT as TEXT lines', () => {
+    const parsed = new DxfParser().parse(textDxf([
+        [0, 'TEXT'], [10, 1], [20, 2], [40, 3], [1, '45%%d'], [72, 1], [11, 10], [21, 2],
+        [0, 'MTEXT'], [10, 0], [20, 20], [40, 2], [1, 'A\\PB']
+    ]));
+    const dxf = new DxfWriter([makeGroup(0, 't', parsed.entities)], new Map()).generate();
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(reparsed.entities.length, 3);
+    assert(reparsed.entities.every(e => e.type === 'TEXT'), 'All TEXT');
+    assertEqual(reparsed.entities[0].text, '45°');
+    assertEqual(reparsed.entities[0].hAlign, 1);
+    assertApprox(reparsed.entities[0].alignPoint.x, 10, 1e-6);
+    assertEqual(reparsed.entities.slice(1).map(e => e.text).join(','), 'A,B');
+});
+
+// --- Hatches and solids ---
+
+console.log('\n--- Hatches and solids ---');
+
+// 10x10 square with a round island, ANSI31-style 45 degree lines 1 unit apart
+const squareLoop = [[92, 7], [72, 0], [73, 1], [93, 4], [10, 0], [20, 0], [10, 10], [20, 0], [10, 10], [20, 10], [10, 0], [20, 10], [97, 0]];
+const islandLoop = [[92, 16], [93, 1], [72, 2], [10, 5], [20, 5], [40, 2], [50, 0], [51, 360], [73, 1], [97, 0]];
+
+function hatchDxf(loopPairs, patternPairs) {
+    return textDxf([
+        [0, 'HATCH'], [8, 'ENGRAVE'], [100, 'AcDbHatch'], [10, 0], [20, 0], [30, 0],
+        [2, patternPairs ? 'ANSI31' : 'SOLID'], [70, patternPairs ? 0 : 1], [71, 0],
+        [91, loopPairs.length], ...loopPairs.flat(),
+        [75, 0], [76, 1], ...(patternPairs || []), [98, 1], [10, 5], [20, 5]
+    ]);
+}
+
+const ansi31 = [[52, 0], [41, 1], [77, 0], [78, 1], [53, 45], [43, 0], [44, 0], [45, -0.7071067811865476], [46, 0.7071067811865476], [79, 0]];
+
+test('Parse HATCH polyline and edge loops', () => {
+    const h = new DxfParser().parse(hatchDxf([squareLoop, islandLoop], ansi31)).entities[0];
+    assertEqual(h.type, 'HATCH');
+    assertEqual(h.layer, 'ENGRAVE');
+    assertEqual(h.patternName, 'ANSI31');
+    assert(!h.solid, 'Pattern fill');
+    assertEqual(h.loops.length, 2);
+    assertEqual(h.loops[0].length, 4, 'Four polyline sides');
+    assertEqual(h.loops[1][0].type, 'CIRCLE', 'Full arc edge becomes a circle');
+    assertEqual(h.patternLines.length, 1);
+    assertEqual(h.patternLines[0].angle, 45);
+});
+
+test('HATCH polyline loop keeps bulges and clockwise arc edges chain up', () => {
+    const bulgeLoop = [[92, 2], [72, 1], [73, 1], [93, 2], [10, 0], [20, 0], [42, 1], [10, 10], [20, 0], [42, 1], [97, 0]];
+    const h = new DxfParser().parse(hatchDxf([bulgeLoop])).entities[0];
+    assert(h.solid, 'SOLID fill');
+    assertEqual(h.loops[0].map(e => e.type).join(','), 'ARC,ARC');
+
+    // Upper half of a circle, traced clockwise from 180 to 0, closed by a line
+    const cwLoop = [[92, 1], [93, 2],
+        [72, 2], [10, 0], [20, 0], [40, 5], [50, 180], [51, 360], [73, 0],
+        [72, 1], [10, 5], [20, 0], [11, -5], [21, 0], [97, 0]];
+    const half = new DxfParser().parse(hatchDxf([cwLoop])).entities[0];
+    const arc = half.loops[0][0];
+    assertApprox(arc.startAngle, 0, 1e-9, 'Clockwise angles are mirrored');
+    assertApprox(arc.endAngle, 180, 1e-9);
+    const ring = hatchPolygons(half)[0];
+    assert(ring.every(p => p.y >= -1e-9), 'Ring stays on the upper half');
+    const jumps = ring.map((p, i) => Math.hypot(p.x - ring[(i + 1) % ring.length].x, p.y - ring[(i + 1) % ring.length].y));
+    assert(Math.max(...jumps) <= 10 + 1e-9, 'Edges chain without jumps');
+});
+
+test('HATCH exports as an even-odd filled path colored by the override', () => {
+    const h = new DxfParser().parse(hatchDxf([squareLoop, islandLoop], ansi31)).entities[0];
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 'h', withIds([h]))], new Map([[0, '#FF0000']]), 1, true);
+    assert(svg.includes('fill="#FF0000" fill-rule="evenodd" stroke="none"'), 'Filled with override');
+    assertEqual((svg.match(/ Z/g) || []).length, 2, 'Outer boundary and island');
+});
+
+test('HATCH pattern lines are clipped around islands', () => {
+    const h = new DxfParser().parse(hatchDxf([squareLoop, islandLoop], ansi31)).entities[0];
+    const segments = hatchPatternSegments(h);
+    assert(segments.length > 10, 'Has pattern lines');
+    for (const [a, b] of segments) {
+        for (const p of [a, b, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }]) {
+            assert(p.x > -1e-6 && p.x < 10 + 1e-6 && p.y > -1e-6 && p.y < 10 + 1e-6, 'Inside the square');
+        }
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        assert(Math.hypot(mid.x - 5, mid.y - 5) > 2 - 0.01, 'Not inside the island');
+        assertApprox(Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI, 45, 1e-6, 'Pattern angle');
+    }
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 'h', [h])], new Map(), 1, true, { hatchPatterns: true });
+    assert(!svg.includes('fill-rule'), 'Pattern mode draws strokes');
+});
+
+test('Dashed pattern lines leave gaps', () => {
+    const dashed = [[52, 0], [41, 1], [77, 0], [78, 1], [53, 0], [43, 0], [44, 0.5], [45, 0], [46, 1], [79, 2], [49, 1], [49, -1]];
+    const h = new DxfParser().parse(hatchDxf([squareLoop], dashed)).entities[0];
+    const segments = hatchPatternSegments(h);
+    assertEqual(segments.length, 10 * 5, 'Ten rows of five dashes');
+    assert(segments.every(([a, b]) => Math.abs(b.x - a.x - 1) < 1e-9), 'Unit dashes');
+});
+
+test('Parse SOLID and TRACE corners in drawing order', () => {
+    const parsed = new DxfParser().parse(textDxf([
+        [0, 'SOLID'], [10, 0], [20, 0], [11, 4], [21, 0], [12, 0], [22, 3], [13, 4], [23, 3],
+        [0, 'TRACE'], [10, 0], [20, 0], [11, 4], [21, 0], [12, 2], [22, 3], [13, 2], [23, 3]
+    ]));
+    const [quad, tri] = parsed.entities;
+    assertEqual(quad.type, 'SOLID');
+    assertEqual(quad.points.map(p => `${p.x},${p.y}`).join(' '), '0,0 4,0 4,3 0,3', '1-2-4-3 order');
+    assertEqual(tri.type, 'SOLID');
+    assertEqual(tri.points.length, 3, 'Repeated corner makes a triangle');
+
+    const dxf = new DxfWriter([makeGroup(0, 's', parsed.entities)], new Map()).generate();
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(JSON.stringify(reparsed.entities.map(e => e.points)), JSON.stringify(parsed.entities.map(e => e.points)));
+});
+
+test('HATCH moves and scales with transforms', () => {
+    const h = new DxfParser().parse(hatchDxf([squareLoop, islandLoop], ansi31)).entities[0];
+    const moved = transformEntity(h, scaleTransform(2, 2));
+    const b = new SvgGenerator().calculateBoundsForEntities([moved]);
+    assertApprox(b.maxX, 20, 1e-9);
+    assertApprox(b.maxY, 20, 1e-9);
+    assertApprox(moved.loops[1][0].radius, 4, 1e-9);
+    const spacing = Math.hypot(moved.patternLines[0].offset.x, moved.patternLines[0].offset.y);
+    assertApprox(spacing, 2, 1e-9, 'Pattern spacing scales too');
+});
+
+// --- SVG Import ---
+
+console.log('\n--- SVG Import ---');
+
+function svgDoc(attrs, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<!-- test -->\n<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${body}</svg>`;
+}
+
+test('SVG page size in mm maps user units to mm with y up', () => {
+    const parsed = new SvgParser().parse(svgDoc('width="100mm" height="50mm" viewBox="0 0 200 100"',
+        '<rect x="20" y="20" width="40" height="10"/>'));
+    assertEqual(parsed.units.unit, 'mm');
+    assert(parsed.units.reason.includes('width="100mm"'), 'Reason names the page size');
+    assertEqual(parsed.entities.length, 4, 'Rectangle becomes four lines');
+    const b = new SvgGenerator().calculateBoundsForEntities(parsed.entities);
+    assertApprox(b.minX, 10, 1e-9);
+    assertApprox(b.maxX, 30, 1e-9);
+    assertApprox(b.minY, 35, 1e-9, 'Top of the page is at y = 50');
+    assertApprox(b.maxY, 40, 1e-9);
+});
+
+test('SVG without a physical size is read in pixels', () => {
+    const parsed = new SvgParser().parse(svgDoc('viewBox="0 0 100 100"', '<circle cx="50" cy="50" r="10"/>'));
+    assertEqual(parsed.units.unit, 'px');
+    assertEqual(parsed.entities[0].type, 'CIRCLE');
+    assertApprox(parsed.entities[0].radius, 10, 1e-9);
+
+    const inches = new SvgParser().parse(svgDoc('width="2in" height="1in" viewBox="0 0 200 100"', '<circle cx="50" cy="50" r="50"/>'));
+    assertEqual(inches.units.unit, 'in');
+    assertApprox(inches.entities[0].radius, 0.5, 1e-9);
+});
+
+test('SVG path commands become lines, arcs and Bézier splines', () => {
+    const parsed = new SvgParser().parse(svgDoc('',
+        '<path d="M0,0 h10 v10 H0 z M20 0 C20 10 30 10 30 0 S40-10 40 0 Q45 10 50 0 T60 0 M70 0 a5 5 0 0110 0 A10 5 0 0 1 100 0"/>'));
+    const types = parsed.entities.map(e => e.type).join(',');
+    assertEqual(types, 'LINE,LINE,LINE,LINE,SPLINE,SPLINE,SPLINE,SPLINE,ARC,ELLIPSE');
+
+    // S reflects the previous control point; y is flipped on import
+    const smooth = parsed.entities[5];
+    assertApprox(smooth.controlPoints[1].x, 30, 1e-9);
+    assertApprox(smooth.controlPoints[1].y, 10, 1e-9);
+    // Q is raised to a cubic; T reflects its control point below the axis
+    const quad = parsed.entities[7];
+    assertApprox(quad.controlPoints[1].y, 20 / 3, 1e-9);
+    assertEqual(quad.controlPoints.length, 4);
+
+    const arc = parsed.entities[8];
+    assertApprox(arc.center.x, 75, 1e-9);
+    assertApprox(arc.radius, 5, 1e-9);
+    assertApprox(arc.startAngle, 0, 1e-9, 'Sweep flag bulges the arc upward after the flip');
+    assertApprox(arc.endAngle, 180, 1e-9);
+    const ellipse = parsed.entities[9];
+    assertApprox(ellipse.center.x, 90, 1e-9);
+    assertApprox(ellipse.ratio, 0.5, 1e-9);
+});
+
+test('SVG transforms, nested groups and <use> are applied', () => {
+    const parsed = new SvgParser().parse(svgDoc('',
+        '<defs><line id="tick" x1="0" y1="0" x2="10" y2="0"/></defs>' +
+        '<g transform="translate(100 0)"><g transform="rotate(90)"><use href="#tick"/></g></g>' +
+        '<use xlink:href="#tick" x="0" y="20"/>' +
+        '<circle cx="0" cy="0" r="5" transform="scale(2 1)"/>'));
+    assertEqual(parsed.entities.length, 3, 'Defs only draw through <use>');
+    const [rotated, placed, stretched] = parsed.entities;
+    assertApprox(rotated.start.x, 100, 1e-9);
+    assertApprox(rotated.end.x, 100, 1e-9);
+    assertApprox(rotated.end.y, -10, 1e-9, 'Rotated down the page, which is -y');
+    assertApprox(placed.start.y, -20, 1e-9);
+    assertEqual(stretched.type, 'ELLIPSE', 'Non-uniform scale makes an ellipse');
+    assertApprox(stretched.ratio, 0.5, 1e-9);
+});
+
+test('SVG colors and Inkscape layers carry over', () => {
+    const parsed = new SvgParser().parse(svgDoc('xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+        '<style><![CDATA[ .score { stroke: #00f; fill: none } ]]></style>' +
+        '<g inkscape:groupmode="layer" inkscape:label="CUT" style="stroke:rgb(255,0,0)"><line x1="0" y1="0" x2="1" y2="0"/></g>' +
+        '<g inkscape:groupmode="layer" inkscape:label="SCORE" style="display:none"><line class="score" x1="0" y1="1" x2="1" y2="1"/></g>' +
+        '<rect width="5" height="5" fill="orange"/>' +
+        '<text x="0" y="0">Label</text><line x1="0" y1="0" x2="1" y2="1" display="none"/>'));
+    const [cut, score] = parsed.entities;
+    assertEqual(cut.layer, 'CUT');
+    assertEqual(cut.color, '#FF0000');
+    assertEqual(score.layer, 'SCORE');
+    assertEqual(score.color, '#0000FF', 'Class rule from <style>');
+    assertEqual(parsed.entities[2].color, '#FFA500', 'Fill-only shapes take the fill color');
+    assertEqual(parsed.entities[2].layer, '0');
+    assertEqual(parsed.entities.length, 6, 'Hidden elements are skipped');
+    assert(parsed.layers.find(l => l.name === 'SCORE').off, 'Hidden layer starts off');
+    assertEqual(parsed.warnings.join(), 'Skipped 1 <text> element');
+});
+
+test('SVG import round-trips through the DXF writer', () => {
+    const parsed = new SvgParser().parse(svgDoc('width="50mm" height="50mm" viewBox="0 0 50 50"',
+        '<rect x="5" y="5" width="40" height="40" rx="5" stroke="red" fill="none"/><path d="M10 25 Q25 10 40 25"/>'));
+    assertEqual(parsed.entities.filter(e => e.type === 'ARC').length, 4, 'Rounded corners');
+    const dxf = new DxfWriter([makeGroup(0, 'svg', parsed.entities)], new Map()).generate();
+    const reparsed = new DxfParser().parse(dxf);
+    assertEqual(reparsed.entities.map(e => e.type).join(','), parsed.entities.map(e => e.type).join(','));
+    const before = new SvgGenerator().calculateBoundsForEntities(parsed.entities);
+    const after = new SvgGenerator().calculateBoundsForEntities(reparsed.entities);
+    assertApprox(after.minX, before.minX, 1e-6);
+    assertApprox(after.maxY, before.maxY, 1e-6);
+});
+
+test('Malformed SVG is rejected', () => {
+    let threw = false;
+    try {
+        new SvgParser().parse('<html><body/></html>');
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Non-SVG root throws');
+});
+
+// --- Project Files ---
+
+console.log('\n--- Project Files ---');
+
+function sampleProject() {
+    const parsed = new DxfParser().parse(simpleDxf);
+    const group = makeGroup(3, 'simple', withIds(parsed.entities, 10), 12.5, -4);
+    group.unit = 'mm';
+    group.detectedUnit = 'in';
+    group.unitReason = '$INSUNITS = 1 (inches)';
+    return {
+        groups: [group],
+        colorOverrides: new Map([[10, '#FF0000']]),
+        groupIdCounter: 4,
+        entityIdCounter: 20,
+        unitSetting: 'mm',
+        layerStates: new Map([['CUT', { visible: false, locked: true }]]),
+        hatchMode: 'pattern',
+        bed: { enabled: true, preset: 'custom', width: 300, height: 200, margin: 5 },
+        operations: new Map([['#FF0000', { speed: 300, power: 60, passes: 2 }]]),
+        toolpath: { laserMode: 'M3', maxPower: 255, frame: 'first' }
+    };
+}
+
+test('Project round-trips the full layout state', () => {
+    const original = sampleProject();
+    const json = serializeProject(original);
+    const data = JSON.parse(json);
+    assertEqual(data.format, 'dxf-svg-project');
+    assertEqual(data.version, PROJECT_VERSION);
+
+    const loaded = parseProject(json);
+    assertEqual(JSON.stringify(loaded.groups), JSON.stringify(original.groups));
+    assertEqual(loaded.colorOverrides.get(10), '#FF0000');
+    assertEqual(loaded.groupIdCounter, 4);
+    assertEqual(loaded.entityIdCounter, 20);
+    assertEqual(loaded.unitSetting, 'mm');
+    assert(loaded.layerStates.get('CUT').locked, 'Layer state kept');
+    assertEqual(loaded.hatchMode, 'pattern');
+    assertEqual(loaded.bed.margin, 5);
+    assertEqual(loaded.operations.get('#FF0000').passes, 2);
+    assertEqual(loaded.toolpath.maxPower, 255);
+});
+
+test('Project keeps merged groups and never reuses their ids', () => {
+    const project = sampleProject();
+    project.groups[0].subGroups = [
+        { filename: 'a', format: 'svg', startIndex: 0, count: 1, unit: 'px', detectedUnit: 'px', unitReason: 'x' },
+        { filename: 'b', format: 'dxf', startIndex: 1, count: 2, unit: 'mm', detectedUnit: 'mm', unitReason: 'y' }
+    ];
+    project.groupIdCounter = 0;
+    const loaded = parseProject(serializeProject(project));
+    assertEqual(loaded.groups[0].subGroups[0].format, 'svg');
+    assertEqual(loaded.groupIdCounter, 4, 'Counter moves past the highest group id');
+});
+
+test('Version 1 projects move their colors onto entity ids', () => {
+    const square = [line(0, 0, 1, 0), line(1, 0, 1, 1)];
+    const loaded = parseProject(JSON.stringify({
+        format: 'dxf-svg-project', version: 1,
+        groups: [makeGroup(2, 'a', square), makeGroup(5, 'b', [line(0, 0, 2, 2)])],
+        colorOverrides: [['2-1', '#FF0000'], ['5-0', '#0000FF'], ['9-0', '#00FF00']],
+        groupIdCounter: 6
+    }));
+    assertEqual(loaded.groups.flatMap(g => g.entities.map(e => e.id)).join(), '0,1,2');
+    assertEqual(loaded.colorOverrides.get(1), '#FF0000');
+    assertEqual(loaded.colorOverrides.get(2), '#0000FF');
+    assertEqual(loaded.colorOverrides.size, 2, 'Keys of missing groups are dropped');
+    assertEqual(loaded.entityIdCounter, 3);
+});
+
+test('Project files from other tools or newer versions are rejected', () => {
+    const errorFor = (text) => {
+        try {
+            parseProject(text);
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assert(errorFor('not json').includes('invalid JSON'), 'Invalid JSON');
+    assertEqual(errorFor('{"format":"other","version":1,"groups":[]}'), 'Not a project file');
+    const future = JSON.stringify({ format: 'dxf-svg-project', version: PROJECT_VERSION + 1, groups: [] });
+    assert(errorFor(future).includes('newer'), 'Newer version');
+    for (const version of [0, -1, 1.5, '2', undefined]) {
+        const text = JSON.stringify({ format: 'dxf-svg-project', version, groups: [] });
+        assertEqual(errorFor(text), 'Not a project file (missing or invalid version)', `version ${version}`);
+    }
+    const withGroups = (groups) => JSON.stringify({ format: 'dxf-svg-project', version: PROJECT_VERSION, groups });
+    assertEqual(errorFor(withGroups([{ id: 0 }])), 'Not a project file (group without entities)');
+    assertEqual(errorFor(withGroups([{ id: 'a', entities: [] }])), 'Not a project file (group without a numeric id)');
+    assertEqual(errorFor(withGroups([null])), 'Not a project file (group without a numeric id)');
+    for (const entity of [{ type: 'LINE' }, { id: '3' }, { id: null }, null]) {
+        const text = withGroups([{ id: 0, entities: [{ id: 1 }, entity] }]);
+        assertEqual(errorFor(text), 'Not a project file (entity without a numeric id)', JSON.stringify(entity));
+    }
+    assertEqual(errorFor(withGroups([{ id: 0, entities: [{ id: 1 }] }])), null, 'Valid ids load');
+});
+
+// --- Contours ---
+
+console.log('\n--- Contours ---');
+
+function line(x1, y1, x2, y2) {
+    return { type: 'LINE', start: { x: x1, y: y1 }, end: { x: x2, y: y2 } };
+}
+
+test('Scrambled segments chain into one closed contour', () => {
+    // Rounded-end slot: two lines and two half circles, out of order and mixed direction
+    const entities = [
+        line(10, 10, 0, 10),
+        { type: 'ARC', center: { x: 10, y: 5 }, radius: 5, startAngle: 270, endAngle: 90 },
+        line(0, 0, 10, 0),
+        { type: 'ARC', center: { x: 0, y: 5 }, radius: 5, startAngle: 90, endAngle: 270 }
+    ];
+    const contours = buildContours(entities);
+    assertEqual(contours.length, 1);
+    assert(contours[0].closed, 'Closed');
+    assertEqual(contours[0].segments.length, 4);
+    assertEqual(contours[0].segments.map(s => s.index).sort().join(), '0,1,2,3');
+});
+
+test('Contours join within tolerance and report gaps beyond it', () => {
+    const entities = [
+        line(0, 0, 10, 0), line(10.2, 0, 10, 10), line(10, 10, 0, 10), line(0, 10, 0, 1),
+        line(50, 0, 60, 0)
+    ];
+    const contours = buildContours(entities);
+    assertEqual(contours.length, 2);
+    const square = contours.find(c => c.segments.length === 4);
+    assert(!square.closed, 'A 1 mm gap stays open');
+    assert(square.segments[1].reversed === false, 'Second side walks forward');
+    const gaps = findContourGaps(contours);
+    assertEqual(gaps.length, 1, 'The stray line is too far away to count');
+    assertApprox(gaps[0].distance, 1, 1e-9);
+
+    const loose = buildContours(entities, 1.5);
+    assert(loose.find(c => c.segments.length === 4).closed, 'Wider tolerance closes it');
+});
+
+test('Closed shapes stay single and a lone closed spline is its own contour', () => {
+    const entities = [
+        { type: 'CIRCLE', center: { x: 0, y: 0 }, radius: 5 },
+        { type: 'SPLINE', degree: 1, controlPoints: [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 0, y: 5 }, { x: 0, y: 0 }], knots: [], closed: true },
+        { type: 'ELLIPSE', center: { x: 0, y: 0 }, majorAxis: { x: 4, y: 0 }, ratio: 0.5, startAngle: 0, endAngle: Math.PI }
+    ];
+    const contours = buildContours(entities);
+    assertEqual(contours.length, 2, 'Circle is not a segment');
+    assert(contours[0].closed, 'Spline closes itself');
+    assert(!contours[1].closed, 'Half ellipse is open');
+    assertApprox(contours[1].end.x, -4, 1e-9);
+});
+
+test('SVG export writes each contour as one closed path', () => {
+    const entities = [
+        line(0, 0, 10, 0),
+        { type: 'ARC', center: { x: 10, y: 5 }, radius: 5, startAngle: 270, endAngle: 90 },
+        line(10, 10, 0, 10),
+        line(0, 0, 0, 10),
+        line(20, 0, 30, 0)
+    ];
+    const group = makeGroup(0, 'slot', withIds(entities));
+    const svg = new SvgGenerator().generateCompositeSvg([group], new Map([[4, '#FF0000']]), 1, true);
+    assertEqual((svg.match(/<path/g) || []).length, 1, 'One path for the outline');
+    assert(svg.includes('M 0 0 L 10 0 A 5 5 0 0 1 10 10 L 0 10 L 0 0 Z'), 'Ordered, with the last line reversed');
+    assert(svg.includes('<line x1="20" y1="0" x2="30" y2="0" stroke="#FF0000"/>'), 'Lone segment is unchanged');
+
+    // Differently colored segments never share a path
+    const split = new SvgGenerator().generateCompositeSvg([group], new Map([[2, '#0000FF']]), 1, true);
+    assert(!split.includes(' Z"'), 'Color change breaks the contour');
+    assert(split.includes('<line x1="10" y1="10" x2="0" y2="10" stroke="#0000FF"/>'), 'Blue side stays separate');
+
+    const preview = new SvgGenerator().generateCompositeSvg([group], new Map(), 1, false);
+    assertEqual((preview.match(/data-element-id/g) || []).length, 5, 'Preview keeps one element per entity');
+
+    // Ends joined across a real gap close with a drawn line, not a silent Z
+    const gapped = makeGroup(0, 'gap', withIds([line(0, 0, 10, 0), line(10, 0, 10, 10), line(10, 10, 0, 10), line(0, 10, 0, 0.3)]));
+    const gapSvg = new SvgGenerator().generateCompositeSvg([gapped], new Map(), 1, true);
+    assert(gapSvg.includes('M 0 0 L 10 0 L 10 10 L 0 10 L 0 0.3 L 0 0"'), 'Explicit closing line');
+    assert(!gapSvg.includes(' Z"'), 'No Z across the gap');
+});
+
+// --- Geometry Check ---
+console.log('\n--- Geometry Check ---');
+
+test('Gaps and dangling lines are reported with their endpoints', () => {
+    const entities = [
+        line(0, 0, 10, 0), line(10, 0, 10, 10), line(10, 10, 0, 10), line(0, 10, 0, 1),
+        line(50, 0, 60, 0)
+    ];
+    const issues = checkGeometry(entities);
+    assertEqual(issues.map(i => i.kind).join(','), 'gap,open');
+    const gap = issues[0];
+    assertApprox(gap.distance, 1, 1e-9);
+    assertEqual(gap.ends.map(e => e.index).sort().join(','), '0,3', 'Gap joins the square\'s loose ends');
+    assertEqual(issues[1].indices.join(','), '4');
+    assert(issues[1].message.includes('LINE'), 'Lone line is named');
+    assertEqual(issues[1].points.length, 2);
+});
+
+test('A gap narrower than the contour joining tolerance is still reported', () => {
+    const entities = [line(0, 0, 10, 0), line(10, 0, 10, 10), line(10, 10, 0, 10), line(0, 10, 0, 0.05)];
+    assert(buildContours(entities)[0].closed, 'Export joins the ends');
+    const issues = checkGeometry(entities);
+    assertEqual(issues.map(i => i.kind).join(','), 'gap');
+    assertApprox(issues[0].distance, 0.05, 1e-9);
+});
+
+test('A bow-tie contour is flagged as self-intersecting', () => {
+    const entities = [line(0, 0, 10, 10), line(10, 10, 10, 0), line(10, 0, 0, 10), line(0, 10, 0, 0)];
+    const issues = checkGeometry(entities);
+    assertEqual(issues.length, 1);
+    assertEqual(issues[0].kind, 'self-intersection');
+    assertApprox(issues[0].points[0].x, 5, 1e-9);
+    assertApprox(issues[0].points[0].y, 5, 1e-9);
+    assertEqual(issues[0].indices.sort().join(','), '0,2');
+});
+
+test('Zero-length and tiny entities are reported; clean shapes are not', () => {
+    const square = [line(0, 0, 10, 0), line(10, 0, 10, 10), line(10, 10, 0, 10), line(0, 10, 0, 0)];
+    assertEqual(checkGeometry(square).length, 0, 'Closed square is clean');
+    assertEqual(checkGeometry([{ type: 'CIRCLE', center: { x: 0, y: 0 }, radius: 5 }]).length, 0);
+
+    const issues = checkGeometry([
+        ...square,
+        line(20, 20, 20, 20),
+        { type: 'CIRCLE', center: { x: 30, y: 30 }, radius: 0.02 }
+    ]);
+    const kinds = issues.map(i => i.kind);
+    assert(kinds.includes('zero-length'), 'Point-sized line');
+    assert(kinds.includes('tiny'), 'Speck of a circle');
+    assertEqual(issues.find(i => i.kind === 'tiny').indices.join(','), '5');
+});
+
+// --- Cut Order ---
+console.log('\n--- Cut Order ---');
+
+function square(x, y, size) {
+    return [line(x, y, x + size, y), line(x + size, y, x + size, y + size), line(x + size, y + size, x, y + size), line(x, y + size, x, y)];
+}
+
+test('Holes are cut before the outline around them', () => {
+    const entities = [...square(0, 0, 100), ...square(40, 40, 20), { type: 'CIRCLE', center: { x: 10, y: 10 }, radius: 3 }];
+    const plan = planCutOrder([makeGroup(0, 'part', entities)], new Map());
+    const route = plan.layers[0].route;
+    assertEqual(route.length, 3);
+    const outline = route.findIndex(step => step.contour && step.contour.segments.some(seg => seg.index === 0));
+    assertEqual(outline, 2, 'Outline comes last');
+    assertEqual(route[0].index, 8, 'Nearest inner item first');
+    assert(route[1].contour.closed, 'Square hole is one closed contour');
+});
+
+test('Open contours are turned around when their far end is nearer', () => {
+    const entities = [line(300, 0, 200, 0), line(100, 0, 10, 0)];
+    const plan = planCutOrder([makeGroup(0, 'lines', entities)], new Map());
+    const route = plan.layers[0].route;
+    assertEqual(route[0].contour.segments[0].index, 1);
+    assertEqual(route[0].contour.start.x, 10, 'Starts at the end nearest the origin');
+    assert(route[0].contour.segments[0].reversed, 'Walks the line backwards');
+    assertApprox(plan.travelAfter, 10 + 100, 1e-9);
+    assertApprox(plan.travelBefore, 300 + 100, 1e-9);
+    assert(plan.travelAfter < plan.travelBefore, 'Optimized travel is shorter');
+});
+
+test('Both exports follow the planned order', () => {
+    const entities = [...square(0, 0, 100), { type: 'CIRCLE', center: { x: 50, y: 50 }, radius: 5 }];
+    const group = makeGroup(0, 'part', entities, 20, 0);
+    const svg = new SvgGenerator().generateCompositeSvg([group], new Map(), 1, true, { cutOrder: true });
+    assert(svg.indexOf('<circle') < svg.indexOf(' Z"'), 'Hole before outline in SVG');
+    const plain = new SvgGenerator().generateCompositeSvg([group], new Map(), 1, true);
+    assert(plain.indexOf('<circle') > plain.indexOf(' Z"'), 'File order without the option');
+
+    const writer = new DxfWriter([group], new Map(), { cutOrder: true });
+    const dxf = writer.generate();
+    const entitiesSection = dxf.slice(dxf.indexOf('ENTITIES'));
+    assert(entitiesSection.indexOf('CIRCLE') < entitiesSection.indexOf('LINE'), 'Hole before outline in DXF');
+    assert(entitiesSection.includes(' 10\n70.000000'), 'Circle keeps the group offset');
+    assertEqual(writer.cutPlan.layers[0].route.length, 2, 'Writer keeps its plan for the travel readout');
+});
+
+// --- Kerf Compensation ---
+console.log('\n--- Kerf Compensation ---');
+
+test('Outlines grow with round corners and round holes shrink', () => {
+    const entities = [...square(0, 0, 10), { type: 'CIRCLE', center: { x: 5, y: 5 }, radius: 2 }, line(20, 0, 30, 0)];
+    const group = makeGroup(0, 'plate', entities);
+    const { groups } = applyKerf([group], new Map(), new Map([['0', 0.1]]));
+    const result = groups[0].entities;
+    assertEqual(entities.length, 6, 'Source geometry is untouched');
+    assertEqual(result.filter(e => e.type === 'ARC').length, 4, 'One round join per corner');
+    assert(result.filter(e => e.type === 'ARC').every(e => Math.abs(e.radius - 0.1) < 1e-9), 'Joins are kerf-sized');
+    const bounds = new SvgGenerator().calculateBoundsForEntities(result.filter(e => e.type === 'LINE'));
+    assertApprox(bounds.minX, -0.1, 1e-9);
+    assertApprox(bounds.maxY, 10.1, 1e-9);
+    assertApprox(result.find(e => e.type === 'CIRCLE').radius, 1.9, 1e-9, 'Hole shrinks');
+    assert(result.some(e => e.type === 'LINE' && e.start.x === 20 && e.end.x === 30), 'Open line is left alone');
+});
+
+test('Square holes shrink with trimmed corners whichever way they run', () => {
+    const hole = [line(3, 3, 3, 7), line(3, 7, 7, 7), line(7, 7, 7, 3), line(7, 3, 3, 3)];
+    const { groups } = applyKerf([makeGroup(0, 'plate', [...square(0, 0, 10), ...hole])], new Map(), new Map([['0', 0.1]]));
+    const inner = groups[0].entities.filter(e => e.type === 'LINE' && Math.abs(e.start.x - 5) < 2.5 && Math.abs(e.start.y - 5) < 2.5);
+    assertEqual(inner.length, 4, 'No joins on inside corners');
+    const bounds = new SvgGenerator().calculateBoundsForEntities(inner);
+    assertApprox(bounds.minX, 3.1, 1e-9);
+    assertApprox(bounds.maxX, 6.9, 1e-9);
+    assertApprox(bounds.minY, 3.1, 1e-9);
+});
+
+test('Arcs offset exactly and kerf only applies on export', () => {
+    const slot = [
+        line(0, 0, 10, 0),
+        { type: 'ARC', center: { x: 10, y: 5 }, radius: 5, startAngle: 270, endAngle: 90 },
+        line(10, 10, 0, 10),
+        { type: 'ARC', center: { x: 0, y: 5 }, radius: 5, startAngle: 90, endAngle: 270 }
+    ];
+    const group = makeGroup(0, 'slot', slot.map(e => ({ ...e, layer: 'CUT' })));
+    const kerf = new Map([['CUT', 0.15]]);
+    const { groups } = applyKerf([group], new Map(), kerf);
+    const arcs = groups[0].entities.filter(e => e.type === 'ARC');
+    assertEqual(arcs.length, 2, 'Tangent joins need no extra arcs');
+    assert(arcs.every(a => Math.abs(a.radius - 5.15) < 1e-9), 'End arcs grow by the kerf');
+    assertApprox(arcs.find(a => a.center.x === 10).startAngle, 270, 1e-9);
+
+    const dxf = new DxfWriter([group], new Map(), { kerf }).generate();
+    assert(dxf.includes('5.150000'), 'DXF export is compensated');
+    assertEqual(group.entities[1].radius, 5);
+    const preview = new SvgGenerator().generateCompositeSvg([group], new Map(), 1, false, { kerf });
+    assert(preview.includes('class="kerf-ghost"'), 'Preview shows the offset as a ghost');
+    assertEqual((preview.match(/data-element-id/g) || []).length, 4, 'Ghost is not selectable');
+});
+
+test('Offsets get new ids and keep the color of the entity they replace', () => {
+    const entities = withIds([...square(0, 0, 10), { type: 'CIRCLE', center: { x: 5, y: 5 }, radius: 2 }], 20);
+    const colors = new Map([[20, '#FF0000'], [21, '#FF0000'], [22, '#FF0000'], [23, '#FF0000'], [24, '#0000FF']]);
+    const kerf = new Map([['0', 0.1]]);
+    const result = applyKerf([makeGroup(0, 'plate', entities)], colors, kerf);
+    const ids = result.groups[0].entities.map(e => e.id);
+    assertEqual(new Set(ids).size, ids.length, 'Every piece has its own id');
+    assert(ids.every(id => id > 24), 'New ids start above the layout\'s');
+    const circle = result.groups[0].entities.find(e => e.type === 'CIRCLE');
+    assertEqual(result.colorOverrides.get(circle.id), '#0000FF');
+    assert(result.groups[0].entities.filter(e => e.type === 'ARC').every(e => result.colorOverrides.get(e.id) === '#FF0000'), 'Joins take the outline color');
+    assertEqual(colors.size, 5, 'Source overrides are untouched');
+
+    const svg = new SvgGenerator().generateCompositeSvg([makeGroup(0, 'plate', entities)], colors, 1, true, { kerf });
+    assert(svg.includes('stroke="#FF0000"') && svg.includes('stroke="#0000FF"'), 'Both colors survive the offset');
+});
+
+test('Holes too small for the kerf are reported and cut as drawn', () => {
+    const hole = { type: 'CIRCLE', center: { x: 5, y: 5 }, radius: 0.1 };
+    const slot = [line(2, 2, 2, 2.15), line(2, 2.15, 4, 2.15), line(4, 2.15, 4, 2), line(4, 2, 2, 2)];
+    const entities = withIds([...square(0, 0, 10), hole, ...slot], 0);
+    const { groups, collapsed } = applyKerf([makeGroup(3, 'plate', entities)], new Map(), new Map([['0', 0.1]]));
+    assertEqual(collapsed.length, 2, 'Both holes reported');
+    assertEqual(collapsed[0].groupId, 3);
+    assertEqual(groups[0].entities.find(e => e.type === 'CIRCLE').radius, 0.1, 'Hole left at its drawn size');
+    assert(slot.every(s => groups[0].entities.some(e => e.type === 'LINE' && e.start.x === s.start.x && e.end.y === s.end.y)), 'Slot left as drawn');
+
+    const { collapsed: none } = applyKerf([makeGroup(3, 'plate', entities)], new Map(), new Map([['0', 0.05]]));
+    assertEqual(none.length, 0, 'A smaller kerf fits both');
+});
+
+// --- Nesting ---
+console.log('\n--- Nesting ---');
+
+function frame(x, y, outer, inner) {
+    const gap = (outer - inner) / 2;
+    return [...square(x, y, outer), ...square(x + gap, y + gap, inner)];
+}
+
+function ell(size, arm) {
+    return [
+        line(0, 0, size, 0), line(size, 0, size, arm), line(size, arm, arm, arm),
+        line(arm, arm, arm, size), line(arm, size, 0, size), line(0, size, 0, 0)
+    ];
+}
+
+test('Nesting shapes fill outlines and leave holes open', () => {
+    const shape = nestingShape(frame(0, 0, 10, 4), 0.1);
+    assertEqual(shape.rings.length, 2);
+    assertApprox(shapeArea(shape), 100 - 16, 1e-9);
+    assertEqual(shape.center.x, 5);
+
+    const open = nestingShape([line(0, 0, 10, 0), { type: 'CIRCLE', center: { x: 0, y: 0 }, radius: 1 }], 0.001);
+    assertEqual(open.strokes.length, 1, 'Lone line is a stroke');
+    assertApprox(shapeArea(open), Math.PI, 0.01);
+});
+
+test('Small parts nest inside the holes of larger ones', () => {
+    const parts = [square(0, 0, 20), frame(0, 0, 40, 30)].map(entities => {
+        const shape = nestingShape(entities, 0.25);
+        return { shape, area: shapeArea(shape) };
+    });
+    const progress = [];
+    const result = nestShapes(parts, { width: 44, height: 100 }, { margin: 1, rotationStep: 90, resolution: 1 }, done => progress.push(done));
+    const [small, ring] = result.placements;
+    assert(small && ring, 'Both parts placed');
+    assertEqual(progress.join(), '1,2');
+    const holeMinX = ring.offsetX + 5, holeMinY = ring.offsetY + 5;
+    // A square turns in place, so its offset is its corner whatever the angle
+    const smallX = small.offsetX, smallY = small.offsetY;
+    assert(smallX >= holeMinX && smallX + 20 <= holeMinX + 30, 'Inside the hole horizontally');
+    assert(smallY >= holeMinY && smallY + 20 <= holeMinY + 30, 'Inside the hole vertically');
+    assertApprox(result.utilization, (400 + 700) / 4400, 1e-9);
+});
+
+test('Interlocking L shapes fit where their boxes cannot', () => {
+    const parts = [ell(40, 10), ell(40, 10)].map(entities => {
+        const shape = nestingShape(entities, 0.25);
+        return { shape, area: shapeArea(shape) };
+    });
+    const result = nestShapes(parts, { width: 55, height: 45 }, { margin: 0, rotationStep: 90, resolution: 0.5 });
+    assert(result.placements.every(Boolean), 'Both placed');
+    assert(result.placements.some(p => p.angle !== 0), 'One is turned to interlock');
+    new Function(nestingWorkerSource());
+    assert(nestingResolution(1000, 1000) > nestingResolution(100, 100), 'Big beds get a coarser grid');
+});
+
+// --- Arrange ---
+console.log('\n--- Arrange ---');
+
+test('alignShifts lines up edges and centers against a reference box', () => {
+    const boxes = [
+        { minX: 0, minY: 0, maxX: 10, maxY: 10 },
+        { minX: 30, minY: 5, maxX: 50, maxY: 25 }
+    ];
+    const left = alignShifts(boxes, 'left', { minX: 0, minY: 0, maxX: 50, maxY: 25 });
+    assertEqual(left[0].dx, 0);
+    assertEqual(left[1].dx, -30);
+    assertEqual(left[1].dy, 0);
+
+    const bed = { minX: 0, minY: 0, maxX: 100, maxY: 60 };
+    const top = alignShifts(boxes, 'top', bed);
+    assertEqual(top[0].dy, 50);
+    assertEqual(top[1].dy, 35);
+    const middle = alignShifts(boxes, 'centerX', bed);
+    assertEqual(middle[0].dx, 45);
+    assertEqual(middle[1].dx, 10);
+});
+
+test('distributeShifts spaces boxes evenly between the ends or across the bed', () => {
+    const boxes = [
+        { minX: 80, minY: 0, maxX: 100, maxY: 10 },
+        { minX: 0, minY: 0, maxX: 10, maxY: 10 },
+        { minX: 15, minY: 0, maxX: 25, maxY: 10 }
+    ];
+    // Between the outermost boxes: 100 wide, 40 occupied, two gaps of 30
+    const between = distributeShifts(boxes, 'x', { minX: 0, minY: 0, maxX: 100, maxY: 10 }, false);
+    assertEqual(between[0].dx, 0, 'rightmost stays');
+    assertEqual(between[1].dx, 0, 'leftmost stays');
+    assertEqual(between[2].dx, 25, 'middle moves to 40');
+
+    // Across a 200 wide bed: four gaps of 40
+    const across = distributeShifts(boxes, 'x', { minX: 0, minY: 0, maxX: 200, maxY: 10 }, true);
+    assertEqual(boxes[1].minX + across[1].dx, 40);
+    assertEqual(boxes[2].minX + across[2].dx, 90);
+    assertEqual(boxes[0].minX + across[0].dx, 140);
+    assert(across.every(s => s.dy === 0), 'no vertical movement');
+});
+
+// --- Sheets ---
+console.log('\n--- Sheets ---');
+
+test('sheetLayout picks the groups on one sheet and moves them to the origin', () => {
+    const bed = { width: 100, height: 50 };
+    const second = sheetOriginX(1, bed);
+    const groups = [
+        makeGroup(0, 'a', [line(0, 0, 10, 10)], 5, 5),
+        makeGroup(1, 'b', [line(0, 0, 10, 10)], second + 20, 5),
+        makeGroup(2, 'c', [line(0, 0, 10, 10)], second + 20, 80)
+    ];
+    const first = sheetLayout(groups, 0, bed, 2);
+    assertEqual(first.map(g => g.id).join(), '0');
+    const layout = sheetLayout(groups, 1, bed, 2);
+    assertEqual(layout.map(g => g.id).join(), '1', 'off-bed group left out');
+    assertEqual(layout[0].offsetX, 20);
+    assertEqual(groups[1].offsetX, second + 20, 'original untouched');
+    assertEqual(sheetLayout(groups, 1, bed, 1).length, 0, 'beyond the last sheet');
+
+    const straddling = [
+        makeGroup(3, 'edge', [line(0, 0, 10, 10)], 95, 5),
+        makeGroup(4, 'top', [line(0, 0, 10, 10)], 20, 45),
+        makeGroup(5, 'flush', [line(0, 0, 10, 10)], 90, 40)
+    ];
+    assertEqual(sheetLayout(straddling, 0, bed, 2).map(g => g.id).join(), '5', 'parts over the edge are left out');
+    assertEqual(sheetLayout(straddling, 1, bed, 2).length, 0, 'not even on the sheet their right side reaches');
+
+    const svg = new SvgGenerator().generateCompositeSvg(layout, new Map(), 1, true,
+        { frame: { minX: 0, minY: 0, maxX: 100, maxY: 50 } });
+    assert(svg.includes('viewBox="0 -50 100 50"'), 'page is the bed');
+    assert(svg.includes('width="100.00mm" height="50.00mm"'), 'page size');
+});
+
+test('zipFiles writes a stored archive with matching checksums', () => {
+    assertEqual(crc32(new TextEncoder().encode('hello')), 0x3610A686);
+    const bytes = zipFiles([{ name: 'a.svg', data: '<svg/>' }, { name: 'b.dxf', data: 'EOF' }]);
+    const view = new DataView(bytes.buffer);
+    assertEqual(view.getUint32(0, true), 0x04034B50, 'local header');
+    assertEqual(view.getUint32(14, true), crc32(new TextEncoder().encode('<svg/>')), 'crc');
+    assertEqual(new TextDecoder().decode(bytes.slice(30, 35)), 'a.svg');
+    assertEqual(new TextDecoder().decode(bytes.slice(35, 41)), '<svg/>');
+
+    const end = bytes.length - 22;
+    assertEqual(view.getUint32(end, true), 0x06054B50, 'end record');
+    assertEqual(view.getUint16(end + 10, true), 2, 'entry count');
+    const central = view.getUint32(end + 16, true);
+    assertEqual(view.getUint32(central, true), 0x02014B50, 'central directory');
+    assertEqual(view.getUint32(end + 12, true), end - central, 'directory size');
+});
+
+// --- Machine Presets ---
+console.log('\n--- Machine Presets ---');
+
+test('Machine presets round-trip and accept a bare array', () => {
+    assert(MACHINE_PRESETS.some(p => p.id === 'glowforge' && p.width === 495.3), 'Glowforge in the library');
+    const mine = [{ name: ' Shop K40 ', width: 300, height: 200, origin: 'bottom-left', margins: { top: 5, left: 10 } }];
+    const loaded = parseMachinePresets(serializeMachinePresets(mine));
+    assertEqual(loaded[0].name, 'Shop K40');
+    assertEqual(loaded[0].origin, 'bottom-left');
+    assertEqual(loaded[0].margins.left, 10);
+    assertEqual(loaded[0].margins.right, 0, 'missing margins default to 0');
+
+    const bare = parseMachinePresets('[{"name":"Bare","width":100,"height":50}]');
+    assertEqual(bare[0].origin, 'top-left');
+});
+
+test('Broken machine presets are rejected and margins shrink the usable area', () => {
+    const errorFor = (text) => {
+        try {
+            parseMachinePresets(text);
+        } catch (e) {
+            return e.message;
+        }
+        return null;
+    };
+    assert(errorFor('not json').includes('invalid JSON'), 'Invalid JSON');
+    assertEqual(errorFor('{"format":"other","presets":[]}'), 'Not a presets file');
+    assert(errorFor('[{"name":"A","width":100,"height":50,"margins":{"top":-1}}]').includes('negative'), 'Negative margin');
+    assert(errorFor('[{"name":"A","width":100,"height":50,"margins":{"left":60,"right":40}}]').includes('no room'), 'Margins fill the bed');
+    assert(errorFor('[{"name":"A","width":100,"height":50,"origin":"middle"}]').includes('origin'), 'Unknown origin');
+
+    const area = usableBedArea({ width: 100, height: 50, margins: { top: 5, right: 10, bottom: 2, left: 3 } });
+    assertEqual(area.x, 3);
+    assertEqual(area.y, 2, 'bottom margin, since y runs up');
+    assertEqual(area.width, 87);
+    assertEqual(area.height, 43);
+});
+
+// --- Spatial Index ---
+console.log('\n--- Spatial Index ---');
+
+test('Spatial grid finds just the items whose boxes touch the query', () => {
+    const entities = [];
+    for (let i = 0; i < 100; i++) entities.push(line(i * 10, 0, i * 10 + 5, 5));
+    const gen = new SvgGenerator();
+    const grid = buildSpatialGrid(entities, e => gen.calculateBoundsForEntities([e]), 0.5);
+    assertEqual(grid.size, 100);
+    assertEqual(grid.cellSize, 5, 'median extent');
+
+    const near = grid.query({ minX: 42, minY: 1, maxX: 52, maxY: 2 });
+    assertEqual(near.length, 2);
+    assert(near.includes(entities[4]) && near.includes(entities[5]), 'the lines at 40 and 50');
+    assertEqual(grid.query({ minX: 6, minY: 0, maxX: 9, maxY: 5 }).length, 0, 'gap between lines');
+    assertEqual(grid.query({ minX: 45, minY: 5, maxX: 45, maxY: 5 })[0], entities[4], 'touching corner counts');
+    assertEqual(grid.query({ minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity }).length, 100);
+});
+
+test('Oversized items are still found and reported once', () => {
+    const grid = new SpatialGrid(1);
+    const outline = { name: 'outline' };
+    const dot = { name: 'dot' };
+    grid.insert(outline, { minX: 0, minY: 0, maxX: 500, maxY: 500 });
+    grid.insert(dot, { minX: 3, minY: 3, maxX: 4, maxY: 4 });
+    assertEqual(grid.large.length, 1, 'outline kept out of the cells');
+    assertEqual(grid.cells.size, 4);
+    assertEqual(grid.query({ minX: 3.5, minY: 3.5, maxX: 3.6, maxY: 3.6 }).length, 2);
+    assertEqual(grid.query({ minX: 600, minY: 0, maxX: 601, maxY: 1 }).length, 0, 'outline box is still checked');
+});
+
+// --- Headless Conversion ---
+console.log('\n--- Headless Conversion ---');
+
+const mmDxf = (entityPairs) => headerDxf([[9, '$INSUNITS'], [70, 4]], entityPairs);
+const lineOn = (layer, x1, y1, x2, y2) => [[0, 'LINE'], [8, layer], [10, x1], [20, y1], [11, x2], [21, y2]];
+
+test('convert applies units, color mapping and overlap removal', () => {
+    const content = mmDxf([...lineOn('CUT', 0, 0, 1, 0), ...lineOn('CUT', 1, 0, 0, 0), ...lineOn('SCORE', 0, 1, 1, 1)]);
+    const { outputs, report } = convert([{ name: 'dir/part.dxf', content }], {
+        unit: 'in', colors: { CUT: '#FF0000' }, removeOverlaps: true
+    });
+    assertEqual(outputs.length, 1);
+    assertEqual(outputs[0].name, 'part.svg');
+    assertEqual(report.removed, 1, 'reversed copy of the line');
+    assertEqual(report.entities, 2);
+    assert(outputs[0].data.includes('#FF0000'), 'CUT layer recolored');
+    assert(outputs[0].data.includes('25.4'), 'inches scaled to mm');
+
+    let error = null;
+    try {
+        convert([{ name: 'part.dxf', content }], { unit: 'furlong' });
+    } catch (e) {
+        error = e.message;
+    }
+    assertEqual(error, 'Unknown unit "furlong"');
+});
+
+test('convert places parts onto bed sheets, one output each', () => {
+    const inputs = [0, 1, 2].map(k => ({ name: `p${k}.dxf`, content: mmDxf(lineOn('0', 0, 0, 80, 40)) }));
+    const { outputs, report } = convert(inputs, { bed: '100x50', margin: 1, format: 'dxf', name: 'job' });
+    assertEqual(report.sheets, 3);
+    assertEqual(report.unplaced, 0);
+    assertEqual(outputs.map(o => o.name).join(' '), 'job-sheet1.dxf job-sheet2.dxf job-sheet3.dxf');
+    for (const output of outputs) {
+        const parsed = new DxfParser().parse(output.data);
+        const b = new SvgGenerator().calculateBoundsForEntities(parsed.entities);
+        assert(b.minX >= 0 && b.maxX <= 100 && b.minY >= 0 && b.maxY <= 50, `${output.name} inside the bed`);
+    }
+});
+
+// --- Command Line ---
+console.log('\n--- Command Line ---');
+
+function parseError(argv) {
+    try {
+        cli.parseArgs(argv);
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// Runs the CLI with its console output swallowed, returning the exit code
+function runCli(argv) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return cli.main(argv);
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+test('CLI arguments map onto convert options', () => {
+    const args = cli.parseArgs(['-f', 'DXF', '--remove-overlaps=0.2', '-c', 'CUT=#FF0000', '--bed', 'glowforge', '-o', 'out', 'a.dxf', 'b/*.svg']);
+    assertEqual(args.options.format, 'dxf');
+    assertEqual(args.options.removeOverlaps, 0.2);
+    assertEqual(args.options.colors.CUT, '#FF0000');
+    assertEqual(args.outDir, 'out');
+    assert(args.combine, '--bed lays every input out together');
+    assertEqual(args.patterns.join(' '), 'a.dxf b/*.svg');
+    assertEqual(cli.parseArgs(['--remove-overlaps', 'a.dxf']).options.removeOverlaps, true);
+    assertEqual(cli.parseArgs(['a.dxf', '--help']), null);
+
+    assertEqual(parseError([]), 'No input files');
+    assertEqual(parseError(['--margin', 'wide', 'a.dxf']), '--margin needs a number of mm');
+    assertEqual(parseError(['a.dxf', '-o']), '-o needs a value');
+    assertEqual(parseError(['--bogus', 'a.dxf']), 'Unknown option --bogus');
+    assertEqual(parseError(['-c', 'red', 'a.dxf']), '--color takes <from>=<to>, e.g. CUT=#FF0000');
+});
+
+test('CLI globs expand, outputs never replace inputs, and exit codes report failures', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dxf2svg-'));
+    try {
+        const content = mmDxf(lineOn('0', 0, 0, 10, 0));
+        fs.mkdirSync(path.join(dir, 'sub'));
+        fs.writeFileSync(path.join(dir, 'a.dxf'), content);
+        fs.writeFileSync(path.join(dir, 'sub', 'b.dxf'), content);
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'x');
+        const rel = file => path.relative(dir, file).split(path.sep).join('/');
+
+        assertEqual(cli.expandPattern(path.join(dir, '**', '*.dxf')).map(rel).join(' '), 'a.dxf sub/b.dxf');
+        assertEqual(cli.expandPattern(path.join(dir, '*.dxf')).map(rel).join(' '), 'a.dxf');
+        assertEqual(cli.expandPattern(path.join(dir, 's?b', '*')).map(rel).join(' '), 'sub/b.dxf');
+        assertEqual(cli.expandPattern('plain.dxf').join(), 'plain.dxf', 'Plain paths pass through');
+
+        const input = path.join(dir, 'a.dxf');
+        assertEqual(runCli(['-f', 'dxf', input]), 1, 'DXF next to a DXF input would replace it');
+        assertEqual(fs.readFileSync(input, 'utf8'), content, 'Input untouched');
+        assertEqual(runCli(['-f', 'dxf', '-o', path.join(dir, 'out'), input]), 0);
+        assert(fs.existsSync(path.join(dir, 'out', 'a.dxf')), 'Written to --out');
+        assertEqual(runCli([path.join(dir, '**', '*.dxf')]), 0);
+        assert(fs.existsSync(path.join(dir, 'sub', 'b.svg')), 'SVG next to its input');
+
+        fs.mkdirSync(path.join(dir, 'other'));
+        fs.writeFileSync(path.join(dir, 'other', 'a.dxf'), mmDxf(lineOn('0', 0, 0, 20, 0)));
+        const together = path.join(dir, 'together');
+        assertEqual(runCli(['-o', together, input, path.join(dir, 'other', 'a.dxf')]), 1, 'Same name from two directories');
+        assert(fs.readFileSync(path.join(together, 'a.svg'), 'utf8').includes('x2="10"'), 'First output kept');
+
+        const bedOut = path.join(dir, 'bed');
+        assertEqual(runCli(['--bed', '5x5', '-o', bedOut, input]), 1, 'Nothing fits the bed');
+        assert(!fs.existsSync(bedOut), 'Nothing written');
+        fs.writeFileSync(path.join(dir, 'small.dxf'), mmDxf(lineOn('0', 0, 0, 2, 0)));
+        assertEqual(runCli(['--bed', '5x5', '--margin', '0', '-o', bedOut, input, path.join(dir, 'small.dxf')]), 1, 'Some parts left off');
+        assert(fs.existsSync(path.join(bedOut, 'combined.svg')), 'What fits is still written');
+
+        assertEqual(runCli(['--bogus', input]), 2, 'Usage errors');
+        assertEqual(runCli([path.join(dir, '*.nothing')]), 1, 'Nothing matched');
+        assertEqual(runCli(['--help']), 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// --- G-code and HPGL ---
+console.log('\n--- G-code and HPGL ---');
+
+// A 20 × 20 slot with a round right end, plus a red circle inside it
+function slotGroup() {
+    const arc = { type: 'ARC', center: { x: 20, y: 10 }, radius: 10, startAngle: 270, endAngle: 90 };
+    const circle = { type: 'CIRCLE', center: { x: 10, y: 10 }, radius: 3 };
+    return makeGroup(0, 'slot', withIds([line(0, 0, 20, 0), arc, line(20, 20, 0, 20), line(0, 20, 0, 0), circle], 1), 10, 5);
+}
+
+test('G-code runs one operation per color from the bed origin, with arcs and passes', () => {
+    const colors = new Map([[5, '#ff0000']]);
+    const options = {
+        bed: { width: 100, height: 50 }, origin: 'top-left', frame: 'first',
+        operations: new Map([['#FF0000', { speed: 300, power: 40, passes: 2 }]])
+    };
+    const operations = toolpathOperations([slotGroup()], colors, options);
+    assertEqual(operations.map(op => op.color).join(), '#000000,#FF0000');
+    assertEqual(operations[0].strokes.length, 1, 'outline joined into one stroke');
+
+    const gcode = new GcodeWriter([slotGroup()], colors, options).generate().split('\n');
+    assert(gcode.includes('G0 X10 Y45'), 'outline starts at its top-left corner from a top-left origin');
+    assert(gcode.includes('G2 X30 Y25 I0 J-10'), 'counterclockwise arc turns clockwise with y flipped');
+    assert(gcode.includes('M4 S1000') && gcode.includes('M4 S400'), 'power per operation');
+    assertEqual(gcode.filter(l => l === 'G2 X17 Y35 I-3 J0 F300').length, 2, 'circle cut twice at its own speed');
+    assert(gcode.indexOf('M0 ; Check the frame, then resume to cut') < gcode.indexOf('M4 S1000'), 'frame comes first');
+    assert(gcode.includes('G1 X40 Y45 F3000'), 'frame follows the bounding box');
+
+    options.frame = 'only';
+    options.laserMode = 'M3';
+    const dryRun = new GcodeWriter([slotGroup()], colors, options).generate();
+    assert(!/M[34] /.test(dryRun), 'dry run never turns the laser on');
+});
+
+test('Arcs joined across a gap start from their own start point', () => {
+    const arc = { type: 'ARC', center: { x: 15, y: 0 }, radius: 5, startAngle: 180, endAngle: 360 };
+    const group = makeGroup(0, 'gap', withIds([line(0, 0, 9.8, 0), arc], 1));
+    const gcode = new GcodeWriter([group], new Map()).generate().split('\n');
+    const at = gcode.indexOf('G1 X10 Y0');
+    assert(at > 0, 'line across the gap to the arc start');
+    assertEqual(gcode[at + 1], 'G3 X20 Y0 I5 J0', 'I and J from the arc start');
+    assertEqual(gcode.filter(l => l === 'M5').length, 2, 'one M5 up front and one per stroke');
+    assertEqual(gcode.slice(-3).join(), 'G0 X0 Y0,M2,');
+
+    const hpgl = new HpglWriter([group], new Map()).generate().split(';\n');
+    assert(hpgl.includes('PD392,0,400,0') && hpgl.includes('AA600,0,180'), 'HPGL bridges the gap too');
+});
+
+test('HPGL uses a pen per operation, plotter units and AA arcs; zero passes skips a color', () => {
+    const colors = new Map([[5, '#FF0000']]);
+    const hpgl = new HpglWriter([slotGroup()], colors, { operations: new Map([['#000000', { passes: 0 }]]) })
+        .generate().split(';\n');
+    assertEqual(hpgl[0], 'IN');
+    assertEqual(hpgl.filter(c => c.startsWith('SP')).join(), 'SP1,SP0', 'only the red operation');
+    assert(hpgl.includes('VS1.7'), 'default 1000 mm/min is 1.7 cm/s');
+    assert(hpgl.includes('PU920,600'), 'circle starts at its right, 40 units per mm');
+    assertEqual(hpgl.filter(c => c === 'AA800,600,180').length, 2, 'two counterclockwise half turns');
+});
+
+// --- Copies ---
+console.log('\n--- Copies ---');
+
+test('Copies get new group and entity ids and carry their color overrides', () => {
+    const group = makeGroup(3, 'part', withIds(square(0, 0, 10), 10), 5, 7);
+    const colors = new Map([[11, '#FF0000'], [13, '#0000FF']]);
+    const copy = cloneGroup(group, 4, 20, colors, 50, 60);
+    assertEqual(copy.id, 4);
+    assertEqual(copy.entities.map(e => e.id).join(), '20,21,22,23');
+    assertEqual(group.entities.map(e => e.id).join(), '10,11,12,13', 'Original keeps its ids');
+    assertEqual(copy.offsetX, 50);
+    assertEqual(copy.offsetY, 60);
+    assertEqual(colors.get(21), '#FF0000');
+    assertEqual(colors.get(23), '#0000FF');
+    assertEqual(colors.has(20), false, 'Uncolored entities stay uncolored');
+
+    copy.entities[0].start.x = 99;
+    assertEqual(group.entities[0].start.x, 0, 'Geometry is a deep copy');
+});
+
+test('Array copies step by the bounding box plus spacing, skipping the first cell', () => {
+    const group = makeGroup(0, 'part', [line(0, 0, 20, 0), line(20, 0, 20, 10)], 100, 50);
+    const offsets = arrayOffsets(group, 2, 3, 5);
+    assertEqual(offsets.length, 5);
+    assertEqual(offsets.map(o => `${o.x},${o.y}`).join(' '), '125,50 150,50 100,65 125,65 150,65');
+});
+
+test('Fill count finds how many more boxes fit, capped, or null when already full', () => {
+    const sizes = [{ w: 30, h: 30, angle: 0 }];
+    const area = { width: 100, height: 100 };
+    assertEqual(fillCount(area, [sizes], sizes), 8, 'A 3 × 3 grid with one already placed');
+    assertEqual(fillCount(area, [[{ w: 100, h: 40, angle: 0 }]], sizes), 6, 'Two rows of three beside a wide part');
+    assertEqual(fillCount(area, [], sizes, 5), 5, 'Stops at the limit');
+    assertEqual(fillCount({ width: 1000, height: 1000 }, [], boxSizes(makeGroup(0, 'p', square(0, 0, 1)), 0)), MAX_FILL_COPIES);
+    assertEqual(fillCount(area, [boxSizes(makeGroup(0, 'big', square(0, 0, 120)), 0)], sizes), null);
+});
+
 // --- Duplicate Detection ---
 
 console.log('\n--- Duplicate Detection ---');
@@ -759,6 +2482,55 @@ test('Identical ARCs are duplicates', () => {
     assert(entitiesAreDuplicates(a, b), 'Should be duplicates');
 });
 
+test('Reversed SPLINEs are duplicates', () => {
+    const points = [{x:0,y:0}, {x:5,y:10}, {x:10,y:0}, {x:15,y:5}];
+    const a = { entity: { type: 'SPLINE', degree: 3, controlPoints: points }, ox: 0, oy: 0 };
+    const b = { entity: { type: 'SPLINE', degree: 3, controlPoints: [...points].reverse() }, ox: 0, oy: 0 };
+    assert(entitiesAreDuplicates(a, b), 'Reversed spline should be a duplicate');
+    const c = { entity: { type: 'SPLINE', degree: 3, controlPoints: [points[0], points[2], points[1], points[3]] }, ox: 0, oy: 0 };
+    assert(!entitiesAreDuplicates(a, c), 'Shuffled control points are a different curve');
+});
+
+test('Collinear LINEs lose the stretch they share', () => {
+    const at = (entity, ox = 0) => ({ entity, ox, oy: 0 });
+    // Shared border of two parts in different groups: 5..10 of b is already cut by a
+    const rest = overlapRemainder(at(line(0, 0, 10, 0)), at({ ...line(0, 0, 10, 0), id: 3, layer: 'CUT' }, 5), 0.1);
+    assertEqual(rest.length, 1);
+    assertEqual(rest[0].start.x, 5, 'Local coordinates of b');
+    assertEqual(rest[0].end.x, 10);
+    assertEqual(rest[0].id, 3, 'Piece keeps the id');
+    assertEqual(rest[0].layer, 'CUT');
+
+    const inner = overlapRemainder(at(line(3, 0, 6, 0)), at(line(10, 0, 0, 0)), 0.1);
+    assertEqual(inner.map(p => `${p.start.x}-${p.end.x}`).join(), '10-6,3-0', 'Split around a shorter line, keeping direction');
+    assertEqual(overlapRemainder(at(line(10, 0, 0, 0)), at(line(3, 0, 6, 0)), 0.1).length, 0, 'Covered entirely');
+    assertEqual(overlapRemainder(at(line(0, 0.5, 10, 0.5)), at(line(0, 0, 10, 0)), 0.1), null, 'Parallel but apart');
+    assertEqual(overlapRemainder(at(line(10, 0, 20, 0)), at(line(0, 0, 10.05, 0)), 0.1), null, 'Touching ends only');
+    assertEqual(overlapRemainder(at(line(0, 0, 10, 10)), at(line(0, 0, 10, 0)), 0.1), null, 'Crossing');
+});
+
+test('Co-circular ARCs lose the sweep they share, across 0 degrees', () => {
+    const at = entity => ({ entity, ox: 0, oy: 0 });
+    const arc = (startAngle, endAngle) => ({ type: 'ARC', center: { x: 0, y: 0 }, radius: 10, startAngle, endAngle });
+    const rest = overlapRemainder(at(arc(330, 30)), at(arc(0, 90)), 0.1);
+    assertEqual(rest.length, 1);
+    assertApprox(rest[0].startAngle, 30, 1e-9);
+    assertApprox(rest[0].endAngle, 90, 1e-9);
+
+    const split = overlapRemainder(at(arc(10, 20)), at(arc(350, 40)), 0.1);
+    assertEqual(split.map(p => `${p.startAngle}-${p.endAngle}`).join(), '350-10,20-40');
+
+    const circle = { type: 'CIRCLE', center: { x: 0, y: 0 }, radius: 10 };
+    assertEqual(overlapRemainder(at(circle), at(arc(0, 90)), 0.1).length, 0, 'Circle covers the arc');
+    const open = overlapRemainder(at(arc(0, 90)), at(circle), 0.1);
+    assertEqual(open.length, 1, 'Circle opens into one arc');
+    assertEqual(open[0].type, 'ARC');
+    assertApprox(open[0].startAngle, 90, 1e-9);
+    assertApprox(open[0].endAngle, 0, 1e-9);
+    assertEqual(overlapRemainder(at(arc(0, 90)), at({ ...arc(0, 90), radius: 11 }), 0.1), null, 'Different radius');
+    assertEqual(overlapRemainder(at(arc(0, 90)), at(arc(90, 180)), 0.1), null, 'End to end');
+});
+
 // --- getEntityEndpoints ---
 
 console.log('\n--- getEntityEndpoints ---');